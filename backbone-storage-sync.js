@@ -12,140 +12,3382 @@
     }
 })(function (Backbone, _) {
     'use strict';
-    
+
+    // Storage Adapters
+    // ----------------
+
+    // Every `syncStore` is accessed through an adapter with the methods `get(key)`, `set(key, value)`,
+    // `remove(key)`, `keys()` and `clear()`. `get` returns `null` when `key` is not stored.
+    var adapters = {
+
+        // Adapts a Web Storage object, such as `window.localStorage` or `window.sessionStorage`.
+        webStorage: function (storage) {
+            return {
+                get: function (key) {
+                    return storage.getItem(key);
+                },
+                set: function (key, value) {
+                    storage.setItem(key, value);
+                },
+                remove: function (key) {
+                    storage.removeItem(key);
+                },
+                keys: function () {
+                    var keys = [];
+                    for (var i = 0; i < storage.length; i++) {
+                        keys.push(storage.key(i));
+                    }
+                    return keys;
+                },
+                clear: function () {
+                    storage.clear();
+                }
+            };
+        },
+
+        // Adapts a plain object, storing each key as an own property.
+        object: function (object) {
+            return {
+                get: function (key) {
+                    return _.has(object, key) && object[key] !== undefined ? object[key] : null;
+                },
+                set: function (key, value) {
+                    object[key] = value;
+                },
+                remove: function (key) {
+                    delete object[key];
+                },
+                keys: function () {
+                    return _.keys(object);
+                },
+                clear: function () {
+                    _.each(_.keys(object), function (key) {
+                        delete object[key];
+                    });
+                }
+            };
+        },
+
+        // Adapts a `Map` (or any object with `get`, `set`, `has`, `delete`, `keys` and `clear` methods).
+        map: function (map) {
+            return {
+                get: function (key) {
+                    return map.has(key) ? map.get(key) : null;
+                },
+                set: function (key, value) {
+                    map.set(key, value);
+                },
+                remove: function (key) {
+                    map.delete(key);
+                },
+                keys: function () {
+                    var keys = [];
+                    map.forEach(function (value, key) {
+                        keys.push(key);
+                    });
+                    return keys;
+                },
+                clear: function () {
+                    map.clear();
+                }
+            };
+        },
+
+        // Reference asynchronous adapter that keeps values in memory and returns a promise from every method.
+        // `data` is an optional object of initial values.
+        memory: function (data) {
+            var adapter = adapters.object(_.clone(data) || {});
+
+            return _.mapValues(adapter, function (method) {
+                return function () {
+                    var args = arguments;
+                    return new Promise(function (resolve) {
+                        resolve(method.apply(adapter, args));
+                    });
+                };
+            });
+        },
+
+        // Asynchronous adapter for IndexedDB. Values are stored in one object store keyed by the sync key.
+        // Options:
+        //   - `indexedDB`: the IndexedDB factory to open the database with (defaults to the global `indexedDB`)
+        //   - `name`: database name (defaults to "backbone-storage-sync")
+        //   - `storeName`: object store name (defaults to "store")
+        indexedDB: function (options) {
+            options = _.defaults({}, options, {
+                name: 'backbone-storage-sync',
+                storeName: 'store'
+            });
+
+            var database;
+
+            // Returns a promise of the open database, creating the object store on first use. A failed open isn't
+            // kept, so the next operation tries again.
+            function open() {
+                database = database || new Promise(function (resolve, reject) {
+                    var factory = options.indexedDB || indexedDB;
+                    var request = factory.open(options.name, 1);
+                    request.onupgradeneeded = function () {
+                        request.result.createObjectStore(options.storeName);
+                    };
+                    request.onsuccess = function () {
+                        resolve(request.result);
+                    };
+                    request.onerror = function () {
+                        reject(request.error);
+                    };
+                });
+                database.catch(function () {
+                    database = null;
+                });
+                return database;
+            }
+
+            // Calls `operation` with the object store inside a transaction of `mode`. Returns a promise that
+            // resolves with the result of the request `operation` returns once the transaction completes.
+            function transact(mode, operation) {
+                return open().then(function (db) {
+                    return new Promise(function (resolve, reject) {
+                        var transaction = db.transaction(options.storeName, mode);
+                        var request = operation(transaction.objectStore(options.storeName));
+                        transaction.oncomplete = function () {
+                            resolve(request.result);
+                        };
+                        transaction.onerror = transaction.onabort = function () {
+                            reject(transaction.error);
+                        };
+                    });
+                });
+            }
+
+            return {
+                get: function (key) {
+                    return transact('readonly', function (store) {
+                        return store.get(key);
+                    }).then(function (value) {
+                        return value === undefined ? null : value;
+                    });
+                },
+                set: function (key, value) {
+                    return transact('readwrite', function (store) {
+                        return store.put(value, key);
+                    });
+                },
+                remove: function (key) {
+                    return transact('readwrite', function (store) {
+                        return store.delete(key);
+                    });
+                },
+                keys: function () {
+                    var keys = [];
+                    return transact('readonly', function (store) {
+                        var request = store.openCursor();
+                        request.onsuccess = function () {
+                            var cursor = request.result;
+                            if (cursor) {
+                                keys.push(cursor.key);
+                                cursor.continue();
+                            }
+                        };
+                        return request;
+                    }).then(_.constant(keys));
+                },
+                clear: function () {
+                    return transact('readwrite', function (store) {
+                        return store.clear();
+                    });
+                }
+            };
+        }
+
+    };
+
+    // Returns true if every one of `methods` is a function on `object`.
+    function hasMethods(object, methods) {
+        return _.every(methods, function (method) {
+            return _.isFunction(object[method]);
+        });
+    }
+
+    // Returns the implementation of the method `name` that `method`, a method of the mixin, overrides for `instance`:
+    // the first one up its prototype chain above the mixin's, skipping other copies of the mixin's, since it may be
+    // applied at several levels of a class hierarchy.
+    function overridden(instance, name, method) {
+        var prototype = Object.getPrototypeOf(instance);
+        while (prototype && !(_.has(prototype, name) && prototype[name] === method)) {
+            prototype = Object.getPrototypeOf(prototype);
+        }
+        while (prototype && (!_.has(prototype, name) || prototype[name] === method)) {
+            prototype = Object.getPrototypeOf(prototype);
+        }
+        return prototype && prototype[name];
+    }
+
+    // Returns the adapter for `store`. Objects that already implement the adapter interface are used as-is;
+    // otherwise the adapter is picked by the methods `store` exposes.
+    function resolveAdapter(store) {
+        if (hasMethods(store, ['get', 'set', 'remove', 'keys', 'clear'])) {
+            return store;
+        }
+        if (hasMethods(store, ['getItem', 'setItem', 'removeItem', 'key'])) {
+            return adapters.webStorage(store);
+        }
+        if (hasMethods(store, ['get', 'set', 'has', 'delete', 'forEach', 'clear'])) {
+            return adapters.map(store);
+        }
+        return adapters.object(store);
+    }
+
+    // Errors
+    // ------
+
+    // Returns an `Error` subclass of `Parent` named `name`. Instances are created with a message and an optional
+    // hash of properties to assign to them.
+    function createErrorClass(name, Parent) {
+        var ErrorClass = function (message, properties) {
+            this.name = name;
+            this.message = message;
+            _.extend(this, properties);
+
+            if (Error.captureStackTrace) {
+                Error.captureStackTrace(this, ErrorClass);
+            }
+            else {
+                this.stack = (new Error(message)).stack;
+            }
+        };
+
+        ErrorClass.prototype = Object.create(Parent.prototype);
+        ErrorClass.prototype.constructor = ErrorClass;
+
+        return ErrorClass;
+    }
+
+    // Base class of the errors that storage operations fail with.
+    var StorageError = createErrorClass('StorageError', Error);
+
+    // Thrown when the data to read or delete is not in the object store. Has the missing `key`.
+    var StorageNotFoundError = createErrorClass('StorageNotFoundError', StorageError);
+
+    // Thrown when the data to read has expired (and been removed from the object store). Has the expired `key`.
+    var StorageExpiredError = createErrorClass('StorageExpiredError', StorageNotFoundError);
+
+    // Thrown when the object store is full. Has the `key` that couldn't be written and the original error as `cause`.
+    var StorageQuotaError = createErrorClass('StorageQuotaError', StorageError);
+
+    // Thrown when stored data is corrupted and can't be parsed, or when encrypted data can't be decrypted, because
+    // the key is wrong or the data has been tampered with. Has the `key` of the data and the original error as
+    // `cause`, and the `quarantineKey` that corrupted data was moved to.
+    var StorageIntegrityError = createErrorClass('StorageIntegrityError', StorageError);
+
+    // Thrown when stored data doesn't match `syncSchema` or fails `validateStored`. Has the `key`, the validation
+    // `errors` and the `quarantineKey` that the data was moved to.
+    var StorageValidationError = createErrorClass('StorageValidationError', StorageIntegrityError);
+
+    // Thrown when stored data can't be migrated to the current `syncVersion`. Has the `key`, the `storedVersion`
+    // and the `version` that was expected.
+    var StorageVersionError = createErrorClass('StorageVersionError', StorageError);
+
+    // Thrown when a snapshot can't be imported because it is malformed or of a later version. Has the `snapshot`.
+    var StorageSnapshotError = createErrorClass('StorageSnapshotError', StorageError);
+
+    // Thrown when data is written over a newer revision than the instance has read, with `syncRevisions`. Has the 
+    // `key`, the JSON that was to be written as `ours`, the stored JSON as `theirs` and its `revision`.
+    var StorageConflictError = createErrorClass('StorageConflictError', StorageError);
+
+    // Promise Helpers
+    // ---------------
+
+    // Returns true if `value` is a promise (or any other thenable).
+    function isThenable(value) {
+        return !!value && _.isFunction(value.then);
+    }
+
+    // Calls `callback` with `value`, or with its result once it settles if `value` is a promise. This lets the
+    // sync methods run synchronously against synchronous adapters and asynchronously against promise-returning ones.
+    function when(value, callback) {
+        return isThenable(value) ? value.then(callback) : callback(value);
+    }
+
+    // Like `when`, for an array of values that may contain promises.
+    function whenAll(values, callback) {
+        return _.some(values, isThenable) ? Promise.all(values).then(callback) : callback(values);
+    }
+
+    // Calls `fn` and returns its result, or, if it throws or rejects, the result of calling `handler` with the error.
+    function attempt(fn, handler) {
+        var result;
+        try {
+            result = fn();
+        }
+        catch (error) {
+            return handler(error);
+        }
+        return isThenable(result) ? result.then(null, handler) : result;
+    }
+
+    // Calls `fn`, then passes its result to `resolved` (once it settles, if it is a promise) or passes whatever it
+    // threw or rejected with to `rejected`.
+    function settle(fn, resolved, rejected) {
+        var result;
+        try {
+            result = fn();
+        }
+        catch (error) {
+            rejected(error);
+            return;
+        }
+
+        if (isThenable(result)) {
+            result.then(resolved, rejected);
+        }
+        else {
+            resolved(result);
+        }
+    }
+
+    // Serializers
+    // -----------
+
+    // Serializers turn stored data (or its envelope) into the string written to the object store and back, with
+    // `serialize(value)` and `deserialize(string)`. Strings written by any serializer other than "json" are tagged
+    // with its `name` ("@name:...", which is never valid JSON) so that reads can recognise which serializer wrote them.
+    var serializers = {
+
+        // Plain JSON. Its output is not tagged, so that it stays readable by code other than the mixin.
+        json: function () {
+            return {
+                name: 'json',
+                serialize: function (value) {
+                    return JSON.stringify(value);
+                },
+                deserialize: function (string) {
+                    return JSON.parse(string);
+                }
+            };
+        },
+
+        // JSON that round-trips `Date`, `Map`, `Set`, `RegExp` and `BigInt` values, as well as `NaN` and infinite
+        // numbers. They are written as `{ "$type": type, "value": value }` objects. Objects that have their own 
+        // "$type" property are written as `{ "$type": "Object", "value": pairs }` so they aren't mistaken for these.
+        typedJson: function () {
+            return {
+                name: 'typed-json',
+                serialize: function (value) {
+                    return JSON.stringify(value, function (key, value) {
+                        // Use the value before `toJSON` was called so that Dates can be recognised.
+                        return encodeType(this[key]);
+                    });
+                },
+                deserialize: function (string) {
+                    return JSON.parse(string, function (key, value) {
+                        return decodeType(value);
+                    });
+                }
+            };
+        },
+
+        // Compresses the output of the `base` serializer (defaults to "json") with LZW, packed into the UTF-16 
+        // characters that are safe to store in Web Storage.
+        compressed: function (base) {
+            base = base || serializers.json();
+
+            return {
+                name: 'lz',
+                serialize: function (value) {
+                    return compress(serialize(value, base));
+                },
+                deserialize: function (string) {
+                    return deserialize(decompress(string), base);
+                }
+            };
+        }
+
+    };
+
+    // Returns `value` tagged with its type if JSON can't represent it, for the "typed-json" serializer.
+    function encodeType(value) {
+        if (value instanceof Date) {
+            return { $type: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() };
+        }
+        if (value instanceof RegExp) {
+            return { $type: 'RegExp', value: [value.source, value.toString().replace(/.*\//, '')] };
+        }
+        if (typeof Map !== 'undefined' && value instanceof Map) {
+            var entries = [];
+            value.forEach(function (value, key) {
+                entries.push([key, value]);
+            });
+            return { $type: 'Map', value: entries };
+        }
+        if (typeof Set !== 'undefined' && value instanceof Set) {
+            var values = [];
+            value.forEach(function (value) {
+                values.push(value);
+            });
+            return { $type: 'Set', value: values };
+        }
+        if (typeof value === 'bigint') {
+            return { $type: 'BigInt', value: value.toString() };
+        }
+        if (typeof value === 'number' && !isFinite(value)) {
+            return { $type: 'Number', value: String(value) };
+        }
+        if (_.isPlainObject(value) && _.has(value, '$type')) {
+            return { $type: 'Object', value: _.pairs(value) };
+        }
+        return value;
+    }
+
+    // Returns the value of an object tagged by `encodeType`, or `value` itself if it isn't one.
+    function decodeType(value) {
+        if (!_.isPlainObject(value) || !_.has(value, '$type') || !_.has(value, 'value')) {
+            return value;
+        }
+
+        switch (value.$type) {
+            case 'Date':
+                return new Date(value.value === null ? NaN : value.value);
+            case 'RegExp':
+                return new RegExp(value.value[0], value.value[1]);
+            case 'Map':
+                return new Map(value.value);
+            case 'Set':
+                return new Set(value.value);
+            case 'BigInt':
+                return BigInt(value.value);
+            case 'Number':
+                return Number(value.value);
+            case 'Object':
+                return _.zipObject(value.value);
+            default:
+                return value;
+        }
+    }
+
+    // Characters of compressed strings each hold 15 bits, offset past the control characters. This keeps every
+    // character below the UTF-16 surrogate range, so that compressed strings are always well-formed.
+    var COMPRESSED_BITS = 15;
+    var COMPRESSED_OFFSET = 32;
+
+    // LZW codes are at least 9 and at most 16 bits wide, which caps the dictionary at 65536 entries.
+    var MIN_CODE_BITS = 9;
+    var MAX_CODE_BITS = 16;
+
+    // Returns the number of bits needed to write the codes up to `code`.
+    function codeBits(code) {
+        return Math.min(MAX_CODE_BITS, Math.max(MIN_CODE_BITS, code.toString(2).length));
+    }
+
+    // Returns `string` compressed with LZW. The string is compressed as UTF-8 bytes, and the first character of the
+    // result records how many bits of padding the last character has.
+    function compress(string) {
+        var bytes = unescape(encodeURIComponent(string)),
+            dictionary = Object.create(null),
+            nextCode = 256,
+            output = [],
+            buffer = 0,
+            bufferBits = 0,
+            phrase = '';
+
+        for (var i = 0; i < 256; i++) {
+            dictionary[String.fromCharCode(i)] = i;
+        }
+
+        var write = function (code, bits) {
+            for (var bit = bits - 1; bit >= 0; bit--) {
+                buffer = (buffer << 1) | ((code >> bit) & 1);
+                if (++bufferBits === COMPRESSED_BITS) {
+                    output.push(String.fromCharCode(buffer + COMPRESSED_OFFSET));
+                    buffer = bufferBits = 0;
+                }
+            }
+        };
+
+        for (var j = 0; j < bytes.length; j++) {
+            var byte = bytes.charAt(j);
+            if (dictionary[phrase + byte] !== undefined) {
+                phrase += byte;
+                continue;
+            }
+
+            write(dictionary[phrase], codeBits(nextCode - 1));
+            if (nextCode < 1 << MAX_CODE_BITS) {
+                dictionary[phrase + byte] = nextCode++;
+            }
+            phrase = byte;
+        }
+        if (phrase) {
+            write(dictionary[phrase], codeBits(nextCode - 1));
+        }
+
+        var padding = bufferBits ? COMPRESSED_BITS - bufferBits : 0;
+        if (bufferBits) {
+            output.push(String.fromCharCode((buffer << padding) + COMPRESSED_OFFSET));
+        }
+
+        return String.fromCharCode(padding + COMPRESSED_OFFSET) + output.join('');
+    }
+
+    // Returns the string that `compress` compressed to `compressed`.
+    function decompress(compressed) {
+        var padding = compressed.charCodeAt(0) - COMPRESSED_OFFSET,
+            totalBits = (compressed.length - 1) * COMPRESSED_BITS - padding,
+            position = 0,
+            dictionary = [],
+            output = [],
+            phrase;
+
+        if (padding < 0 || padding >= COMPRESSED_BITS || totalBits < 0) {
+            throw new StorageError('Compressed data is corrupt');
+        }
+
+        for (var i = 0; i < 256; i++) {
+            dictionary.push(String.fromCharCode(i));
+        }
+
+        var read = function (bits) {
+            var code = 0;
+            for (var bit = 0; bit < bits; bit++, position++) {
+                var charCode = compressed.charCodeAt(1 + Math.floor(position / COMPRESSED_BITS)) - COMPRESSED_OFFSET;
+                code = (code << 1) | ((charCode >> (COMPRESSED_BITS - 1 - position % COMPRESSED_BITS)) & 1);
+            }
+            return code;
+        };
+
+        while (position < totalBits) {
+            // The decoder adds each dictionary entry one code later than the encoder did.
+            var code = read(phrase === undefined ? MIN_CODE_BITS : codeBits(dictionary.length));
+            var entry;
+
+            if (code < dictionary.length) {
+                entry = dictionary[code];
+            }
+            else if (phrase !== undefined && code === dictionary.length) {
+                entry = phrase + phrase.charAt(0);
+            }
+            else {
+                throw new StorageError('Compressed data is corrupt');
+            }
+
+            if (phrase !== undefined && dictionary.length < 1 << MAX_CODE_BITS) {
+                dictionary.push(phrase + entry.charAt(0));
+            }
+            output.push(entry);
+            phrase = entry;
+        }
+
+        return decodeURIComponent(escape(output.join('')));
+    }
+
+    // Matches the tag that serializers other than "json" prefix their output with.
+    var serializerTag = /^@([^:]+):/;
+
+    // Returns `value` serialized with `serializer`, tagged with the serializer's name unless it is "json".
+    function serialize(value, serializer) {
+        var string = serializer.serialize(value);
+        return serializer.name === 'json' ? string : '@' + serializer.name + ':' + string;
+    }
+
+    // Returns the value of the string `data`, deserialized by the serializer whose name it is tagged with (or as
+    // JSON if it isn't tagged). `serializer` is used for tags that don't name a built-in serializer.
+    function deserialize(data, serializer) {
+        var match = serializerTag.exec(data);
+        if (!match) {
+            return JSON.parse(data);
+        }
+
+        var name = match[1];
+        if (!serializer || serializer.name !== name) {
+            serializer = name === 'typed-json' ? serializers.typedJson() :
+                name === 'lz' ? serializers.compressed() : null;
+        }
+        if (!serializer) {
+            throw new StorageError('No serializer named "' + name + '" is available');
+        }
+
+        return serializer.deserialize(data.slice(match[0].length));
+    }
+
+    // Ciphers
+    // -------
+
+    // Ciphers encrypt strings for `syncEncryption` with AES-GCM, using `encrypt(key, plaintext)` and
+    // `decrypt(key, ciphertext)`, either of which may return a promise. Both built-in ciphers write the random IV and
+    // the ciphertext (with its authentication tag) as "iv:ciphertext" in base64, so that their output is 
+    // interchangeable. `decrypt` fails if the key is wrong or the ciphertext has been tampered with.
+    var ciphers = {
+
+        // Uses the Web Crypto API of `webCrypto` (defaults to the global `crypto`). Keys may be `CryptoKey`s or 
+        // raw key bytes.
+        webCrypto: function (webCrypto) {
+            webCrypto = webCrypto || crypto;
+
+            // Returns a promise of `key` as an AES-GCM `CryptoKey`.
+            var importKey = function (key) {
+                if (key && key.type === 'secret' && key.algorithm) {
+                    return Promise.resolve(key);
+                }
+                return webCrypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+            };
+
+            return {
+                encrypt: function (key, plaintext) {
+                    var iv = webCrypto.getRandomValues(new Uint8Array(12));
+                    return importKey(key).then(function (cryptoKey) {
+                        var data = new TextEncoder().encode(plaintext);
+                        return webCrypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, data);
+                    }).then(function (ciphertext) {
+                        return bytesToBase64(iv) + ':' + bytesToBase64(new Uint8Array(ciphertext));
+                    });
+                },
+                decrypt: function (key, ciphertext) {
+                    var parts = ciphertext.split(':');
+                    return importKey(key).then(function (cryptoKey) {
+                        var iv = base64ToBytes(parts[0]),
+                            data = base64ToBytes(parts[1] || '');
+                        return webCrypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, cryptoKey, data);
+                    }).then(function (plaintext) {
+                        return new TextDecoder().decode(plaintext);
+                    });
+                }
+            };
+        },
+
+        // Uses Node's `crypto` module (pass `require('crypto')`). Keys are 16, 24 or 32 raw bytes.
+        node: function (nodeCrypto) {
+            var algorithm = function (key) {
+                return 'aes-' + (key.length * 8) + '-gcm';
+            };
+
+            return {
+                encrypt: function (key, plaintext) {
+                    var iv = nodeCrypto.randomBytes(12);
+                    var cipher = nodeCrypto.createCipheriv(algorithm(key), key, iv);
+                    var ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]),
+                        tag = cipher.getAuthTag();
+                    return iv.toString('base64') + ':' + Buffer.concat([ciphertext, tag]).toString('base64');
+                },
+                decrypt: function (key, ciphertext) {
+                    var parts = ciphertext.split(':'),
+                        data = Buffer.from(parts[1] || '', 'base64');
+
+                    // The last 16 bytes are the authentication tag.
+                    var decipher = nodeCrypto.createDecipheriv(algorithm(key), key, Buffer.from(parts[0], 'base64'));
+                    decipher.setAuthTag(data.slice(data.length - 16));
+                    return decipher.update(data.slice(0, data.length - 16), null, 'utf8') + decipher.final('utf8');
+                }
+            };
+        }
+
+    };
+
+    // Returns the bytes of the `Uint8Array` `bytes` in base64.
+    function bytesToBase64(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    // Returns the base64 string `base64` as a `Uint8Array`.
+    function base64ToBytes(base64) {
+        var binary = atob(base64),
+            bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // Prefix of strings encrypted for `syncEncryption`.
+    var ENCRYPTED_TAG = '@aes-gcm:';
+
+    // Envelopes
+    // ---------
+
+    // Returns true if `stored` is an envelope written by `_syncEncode` rather than bare data.
+    function isEnvelope(stored) {
+        return _.isPlainObject(stored) && _.has(stored, 'syncVersion') && _.has(stored, 'data');
+    }
+
+    // Returns true if `envelope` was written with a `syncTTL` that has since run out.
+    function isExpired(envelope) {
+        return !!envelope.syncTTL && envelope.syncWritten + envelope.syncTTL <= Date.now();
+    }
+
+    // Returns true if `data` is a string written by the mixin whose envelope has expired. Other values, including
+    // those not written by the mixin, are never considered expired.
+    function isExpiredData(data) {
+        var stored;
+        try {
+            stored = deserialize(data);
+        }
+        catch (error) {
+            return false;
+        }
+        return isEnvelope(stored) && isExpired(stored);
+    }
+
+    // Removes every expired entry from `store` (any value `syncStore` may resolve to). Returns the removed keys, or
+    // a promise of them for asynchronous adapters.
+    function sweepExpired(store) {
+        var adapter = resolveAdapter(store);
+
+        return when(adapter.keys(), function (keys) {
+            return whenAll(_.map(keys, function (key) {
+                return adapter.get(key);
+            }), function (values) {
+                var expiredKeys = _.filter(keys, function (key, i) {
+                    return isExpiredData(values[i]);
+                });
+
+                return whenAll(_.map(expiredKeys, function (key) {
+                    return adapter.remove(key);
+                }), _.constant(expiredKeys));
+            });
+        });
+    }
+
+    // Eviction
+    // --------
+
+    // When each stored key was last read or written through the mixin in this session.
+    var lastUsed = {};
+
+    // Returns true if `error` was thrown because the object store is full.
+    function isQuotaError(error) {
+        return error instanceof StorageQuotaError || (!!error && (
+            error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014
+        ));
+    }
+
+    // Returns the keys of the entries in `adapter` that were written by the mixin, other than `key`, from the least 
+    // to the most recently used.
+    function evictionCandidates(adapter, key) {
+        return when(adapter.keys(), function (keys) {
+            keys = _.without(keys, key);
+
+            return whenAll(_.map(keys, function (key) {
+                return adapter.get(key);
+            }), function (values) {
+                var candidates = [];
+                _.each(keys, function (key, i) {
+                    var stored;
+                    try {
+                        stored = deserialize(values[i]);
+                    }
+                    catch (error) {
+                        return;
+                    }
+                    if (isEnvelope(stored)) {
+                        candidates.push({ key: key, used: Math.max(stored.syncWritten || 0, lastUsed[key] || 0) });
+                    }
+                });
+                return _.pluck(_.sortBy(candidates, 'used'), 'key');
+            });
+        });
+    }
+
+    // Frees space in `adapter` after `write` failed with the `StorageQuotaError` `error`, then retries `write`.
+    // Expired entries are removed first. With the "lru" `policy`, the least recently used entries are then removed
+    // one at a time until `write` succeeds. Fails with the last `StorageQuotaError` if nothing more can be removed.
+    function evict(adapter, policy, key, write, error) {
+        return when(sweepExpired(adapter), function (expiredKeys) {
+            return attempt(expiredKeys.length ? write : function () {
+                throw error;
+            }, function (error) {
+                if (!(error instanceof StorageQuotaError) || policy !== 'lru') {
+                    throw error;
+                }
+
+                return when(evictionCandidates(adapter, key), function (keys) {
+                    var evictNext = function (error) {
+                        if (!(error instanceof StorageQuotaError) || !keys.length) {
+                            throw error;
+                        }
+                        return when(adapter.remove(keys.shift()), function () {
+                            return attempt(write, evictNext);
+                        });
+                    };
+                    return evictNext(error);
+                });
+            });
+        });
+    }
+
+    // Registry
+    // --------
+
+    // Separates the `syncNamespace` from the rest of the key.
+    var NAMESPACE_SEPARATOR = ':';
+
+    // Prefix of the keys that the mixin stores for itself, such as the outbox.
+    var INTERNAL_PREFIX = 'backbone-storage-sync:';
+
+    // The stores that instances in each namespace have used in this session, by namespace.
+    var registry = {};
+
+    // The stores that instances have used in this session, each with the keys read or written in it and their usage
+    // statistics.
+    var managedStores = [];
+
+    // Returns the entry of `store` in `managedStores`, if any.
+    function findManagedStore(store) {
+        return _.find(managedStores, function (managed) {
+            return managed.store === store;
+        });
+    }
+
+    // Records that instances use `store`, and that `key` was read or written in it if it is given. Returns the usage
+    // statistics of `key`: the number of `reads` and `writes` in this session and when it was last `written`.
+    function registerKey(store, key) {
+        var managed = findManagedStore(store);
+        if (!managed) {
+            managed = { store: store, keys: {}, nearQuota: false };
+            managedStores.push(managed);
+        }
+        if (!key) {
+            return;
+        }
+        if (!_.has(managed.keys, key)) {
+            managed.keys[key] = { reads: 0, writes: 0, written: null };
+        }
+        return managed.keys[key];
+    }
+
+    // Returns the keys in `store` that the mixin manages (or a promise of them): the keys in `namespace`, or, 
+    // without a namespace, the keys in the namespaces registered for `store`, the keys read or written in it in this 
+    // session and the keys the mixin stores for itself.
+    function managedKeys(store, namespace) {
+        var managed = findManagedStore(store),
+            namespaces = namespace ? [namespace] : _.filter(_.keys(registry), function (namespace) {
+                return _.contains(registry[namespace], store);
+            });
+
+        return when(resolveAdapter(store).keys(), function (keys) {
+            return _.filter(_.map(keys, String), function (key) {
+                var inNamespace = _.some(namespaces, function (namespace) {
+                    return key.indexOf(namespace + NAMESPACE_SEPARATOR) === 0;
+                });
+
+                return inNamespace || (!namespace && (
+                    (!!managed && _.has(managed.keys, key)) || key.indexOf(INTERNAL_PREFIX) === 0
+                ));
+            });
+        });
+    }
+
+    // Records that `store` holds keys in `namespace`.
+    function registerStore(namespace, store) {
+        var stores = registry[namespace] = registry[namespace] || [];
+        if (!_.contains(stores, store)) {
+            stores.push(store);
+        }
+    }
+
+    // Calls `callback` with the adapter and the keys in `namespace` of each store, and returns the results (or a 
+    // promise of them). `store` limits this to one store; otherwise every store registered under `namespace` in this
+    // session is used, and there must be at least one.
+    function eachNamespaceStore(namespace, store, callback) {
+        if (!namespace) {
+            throw(new ReferenceError('"namespace" must be defined'));
+        }
+
+        var prefix = namespace + NAMESPACE_SEPARATOR;
+        var stores = store ? [store] : registry[namespace] || [];
+        if (!stores.length) {
+            throw(new ReferenceError('"store" must be defined'));
+        }
+
+        return whenAll(_.map(stores, function (store) {
+            var adapter = resolveAdapter(store);
+            return when(adapter.keys(), function (keys) {
+                return callback(adapter, _.filter(keys, function (key) {
+                    return String(key).indexOf(prefix) === 0;
+                }));
+            });
+        }), _.identity);
+    }
+
+    // Returns every key stored in `namespace` (or a promise of them, for asynchronous adapters). The keys are read 
+    // from `store`, or from every store that instances in `namespace` have used in this session.
+    function namespaceKeys(namespace, store) {
+        return when(eachNamespaceStore(namespace, store, function (adapter, keys) {
+            return keys;
+        }), _.flatten);
+    }
+
+    // Removes every key stored in `namespace` from `store`, or from every store that instances in `namespace` have 
+    // used in this session. Keys outside `namespace` are never touched. Returns the removed keys (or a promise of
+    // them).
+    function clearNamespace(namespace, store) {
+        return when(eachNamespaceStore(namespace, store, function (adapter, keys) {
+            return whenAll(_.map(keys, function (key) {
+                return adapter.remove(key);
+            }), _.constant(keys));
+        }), _.flatten);
+    }
+
+    // Returns the number of keys stored in `namespace` (or a promise of it), counted like `namespaceKeys`.
+    function namespaceSize(namespace, store) {
+        return when(namespaceKeys(namespace, store), function (keys) {
+            return keys.length;
+        });
+    }
+
+    // Fallback
+    // --------
+
+    // Key written and removed again to check that Web Storage can be used.
+    var PROBE_KEY = INTERNAL_PREFIX + 'probe';
+
+    // The Web Storage stores that instances have checked (see `probeStore`), each with the `error` that makes it
+    // unusable and the `fallback` store used in its place. `store` is `null` for stores that couldn't be accessed.
+    var probedStores = [];
+
+    // Returns the error that makes the Web Storage `store` unusable, or `null` if it can be written to. Web Storage
+    // throws in Safari's private mode, in sandboxed iframes and with cookies disabled. A store that is full but not
+    // empty can still be used.
+    function probeStore(store) {
+        try {
+            store.setItem(PROBE_KEY, PROBE_KEY);
+            store.removeItem(PROBE_KEY);
+            return null;
+        }
+        catch (error) {
+            return isQuotaError(error) && store.length > 0 ? null : error;
+        }
+    }
+
+    // Returns the record of the checks of `store`, checking it the first time.
+    function findProbedStore(store, error) {
+        var probed = _.find(probedStores, function (probed) {
+            return probed.store === store;
+        });
+        if (!probed) {
+            probed = { store: store, error: error || probeStore(store), fallback: null, persistent: true };
+            probedStores.push(probed);
+        }
+        return probed;
+    }
+
+    // Queued Updates
+    // --------------
+
+    // Updates waiting to run or running, by store and key (see `queueUpdate`).
+    var queuedUpdates = [];
+
+    // Calls `change` once the updates queued before it for `key` in `store` are done, so that updates that read and
+    // then rewrite a value can't overwrite each other when the adapter is asynchronous. Returns the result of
+    // `change` (or a promise of it).
+    function queueUpdate(store, key, change) {
+        var queued = _.find(queuedUpdates, function (queued) {
+            return queued.store === store && queued.key === key;
+        });
+
+        var result = queued ? queued.done.then(change) : change();
+        if (isThenable(result)) {
+            if (!queued) {
+                queued = { store: store, key: key };
+                queuedUpdates.push(queued);
+            }
+            var done = queued.done = Promise.resolve(result).then(_.noop, _.noop).then(function () {
+                if (queued.done === done) {
+                    queuedUpdates = _.without(queuedUpdates, queued);
+                }
+            });
+        }
+        return result;
+    }
+
+    // Outbox
+    // ------
+
+    // Key of the outbox in each store, after the `syncNamespace` if there is one.
+    var OUTBOX_KEY = INTERNAL_PREFIX + 'outbox';
+
+    // Outboxes created by `getOutbox`.
+    var outboxes = [];
+
+    // Returns the outbox of `store` for `namespace`, creating it on first use.
+    function getOutbox(store, namespace) {
+        var outbox = _.find(outboxes, function (outbox) {
+            return outbox.store === store && outbox.namespace === namespace;
+        });
+
+        if (!outbox) {
+            outbox = createOutbox(store, namespace);
+            outboxes.push(outbox);
+        }
+        return outbox;
+    }
+
+    // Returns a new outbox, which persists the operations of instances with `syncWriteThrough` to `store` and replays
+    // them against a remote sync. Outboxes trigger "outbox:success" with the entry and the response of each replayed
+    // operation, and "outbox:error" with the entry, the error and whether it will be retried for each failure. 
+    // Failures of flushes in the background (when the browser comes back online, or to retry) trigger
+    // "outbox:error" with a `null` entry.
+    // Each entry has the `method`, the `key` of the stored data, the `url` and `payload` to replay with (`encrypted`
+    // if the instance has `syncEncryption`) and its number of `attempts`. Entries are replayed by the instance that
+    // was registered for their key (see `register`), and wait until there is one.
+    function createOutbox(store, namespace) {
+        var adapter = resolveAdapter(store),
+            key = namespace ? namespace + NAMESPACE_SEPARATOR + OUTBOX_KEY : OUTBOX_KEY,
+            senders = [],
+            updating = null,
+            flushing = null,
+            retryTimer = null;
+
+        // Returns the stored entries (or a promise of them).
+        var read = function () {
+            return when(adapter.get(key), function (data) {
+                return data ? JSON.parse(data) : [];
+            });
+        };
+
+        // Returns the sender registered for the key of `entry`: its `syncKey`, or the key of one of its records.
+        var findSender = function (entry) {
+            return _.find(senders, function (sender) {
+                return entry.key === sender.key || entry.key.indexOf(sender.key + ':') === 0;
+            });
+        };
+
+        // Replaces the stored entries with the result of calling `change` with them. Changes are applied one at a 
+        // time, so that they can't overwrite each other when the adapter is asynchronous.
+        var update = function (change) {
+            var apply = function () {
+                return when(read(), function (entries) {
+                    var changed = change(entries);
+                    if (!changed.length) {
+                        return when(adapter.remove(key), _.constant(changed));
+                    }
+                    return when(adapter.set(key, JSON.stringify(changed)), _.constant(changed));
+                });
+            };
+
+            var result = updating ? updating.then(apply) : apply();
+            if (isThenable(result)) {
+                var current = updating = result.then(_.noop, _.noop).then(function () {
+                    if (updating === current) {
+                        updating = null;
+                    }
+                });
+            }
+            return result;
+        };
+
+        // Returns a promise of the response to replaying `entry` with the `remoteSync` of `sender`, or of the outbox
+        // if the sender has none.
+        var replay = function (entry, sender) {
+            var payload = entry.encrypted ? sender.decrypt(entry.payload) : entry.payload;
+            return Promise.resolve(payload).then(function (payload) {
+                return new Promise(function (resolve, reject) {
+                    (sender.remoteSync || outbox.remoteSync)(entry.method, new Backbone.Model(), {
+                        url: entry.url,
+                        attrs: entry.method === 'delete' ? undefined : payload,
+                        success: resolve,
+                        error: reject
+                    });
+                });
+            });
+        };
+
+        // Reports an error of work that nothing waits for, such as a flush in the background, by triggering
+        // "outbox:error" without an entry.
+        var report = function (error) {
+            outbox.trigger('outbox:error', null, error, false);
+        };
+
+        // Flushes in the background, reporting failures.
+        var flushInBackground = function () {
+            outbox.flush().then(null, report);
+        };
+
+        // Schedules a flush for when the next failed entry may be retried.
+        var scheduleRetry = function () {
+            attempt(function () {
+                return when(read(), function (entries) {
+                    entries = _.filter(entries, findSender);
+                    if (!entries.length || retryTimer) {
+                        return;
+                    }
+
+                    var retryAt = _.min(_.pluck(entries, 'retryAt'));
+                    retryTimer = setTimeout(function () {
+                        retryTimer = null;
+                        flushInBackground();
+                    }, Math.max(0, retryAt - Date.now()));
+                });
+            }, report);
+        };
+
+        var outbox = _.extend({
+            store: store,
+            namespace: namespace,
+            key: key,
+
+            // The sync function to replay operations with when their sender has none. Defaults to `Backbone.sync` as
+            // it is when replaying.
+            remoteSync: function () {
+                return Backbone.sync.apply(this, arguments);
+            },
+
+            // Failed entries are retried after `retryDelay` milliseconds, doubling with each attempt up to
+            // `maxRetryDelay`. Entries are dropped after `maxAttempts`.
+            retryDelay: 1000,
+            maxRetryDelay: 60000,
+            maxAttempts: Infinity,
+
+            // Returns the entries waiting to be replayed (or a promise of them).
+            entries: function () {
+                return read();
+            },
+
+            // Replays the entries for `senderKey` and its records with `sender`: `remoteSync`, the sync function to
+            // replay them with (optional), and `decrypt`, which returns the payload of an encrypted entry (or a
+            // promise of it). Replaces the sender registered for the same key before.
+            register: function (senderKey, sender) {
+                senders = _.reject(senders, { key: senderKey }).concat(_.extend({ key: senderKey }, sender));
+                return this;
+            },
+
+            // Adds an entry for `method` on the data stored under `entryKey`. The `payload` is a string if it is
+            // `encrypted`.
+            push: function (method, entryKey, url, payload, encrypted) {
+                return update(function (entries) {
+                    return entries.concat(_.extend({
+                        id: generateId(),
+                        method: method,
+                        key: entryKey,
+                        url: url,
+                        payload: payload,
+                        attempts: 0,
+                        retryAt: 0
+                    }, encrypted ? { encrypted: true } : {}));
+                });
+            },
+
+            // Replays the entries that are due, in order, and returns a promise that resolves once they are done.
+            // After an entry fails, later entries for the same key wait until it succeeds. Entries without a sender
+            // wait too. Does nothing while `navigator.onLine` is false.
+            flush: function () {
+                if (flushing) {
+                    return flushing;
+                }
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                    return Promise.resolve();
+                }
+
+                var blockedKeys = {};
+                var remove = function (entry) {
+                    return update(function (entries) {
+                        return _.reject(entries, { id: entry.id });
+                    });
+                };
+
+                flushing = Promise.resolve(read()).then(function (entries) {
+                    return _.reduce(entries, function (previous, entry) {
+                        return previous.then(function () {
+                            var sender = findSender(entry);
+                            if (blockedKeys[entry.key] || !sender || entry.retryAt > Date.now()) {
+                                blockedKeys[entry.key] = true;
+                                return;
+                            }
+
+                            return replay(entry, sender).then(function (response) {
+                                return Promise.resolve(remove(entry)).then(function () {
+                                    outbox.trigger('outbox:success', entry, response);
+                                });
+                            }, function (error) {
+                                var attempts = entry.attempts + 1,
+                                    willRetry = attempts < outbox.maxAttempts,
+                                    delay = outbox.retryDelay * Math.pow(2, entry.attempts);
+
+                                delay = Math.min(delay, outbox.maxRetryDelay);
+
+                                blockedKeys[entry.key] = true;
+                                var updated = willRetry ? update(function (entries) {
+                                    return _.map(entries, function (stored) {
+                                        return stored.id !== entry.id ? stored : _.extend({}, stored, {
+                                            attempts: attempts,
+                                            retryAt: Date.now() + delay
+                                        });
+                                    });
+                                }) : remove(entry);
+
+                                return Promise.resolve(updated).then(function () {
+                                    outbox.trigger('outbox:error', entry, error, willRetry);
+                                });
+                            });
+                        });
+                    }, Promise.resolve());
+                }).then(function () {
+                    flushing = null;
+                    scheduleRetry();
+                }, function (error) {
+                    flushing = null;
+                    throw error;
+                });
+
+                return flushing;
+            }
+        }, Backbone.Events);
+
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', flushInBackground);
+        }
+
+        return outbox;
+    }
+
+    // Queries
+    // -------
+
+    var QUERY_KEYS = ['where', 'sortBy', 'order', 'limit', 'offset'];
+
+    // Returns whether collection `fetch` options ask for a query with `options.data`.
+    function isQuery(options) {
+        return _.isPlainObject(options.data) && _.some(QUERY_KEYS, _.partial(_.has, options.data));
+    }
+
+    // Returns `data[name]` as a number, or `defaultValue` if it isn't set; numeric strings, as in query strings, are
+    // accepted. Throws a `TypeError` for anything else.
+    function queryNumber(data, name, defaultValue) {
+        if (_.isUndefined(data[name])) {
+            return defaultValue;
+        }
+
+        var number = Number(data[name]);
+        if (!_.isFinite(number) || number < 0) {
+            throw(new TypeError('"' + name + '" must be a number of at least 0'));
+        }
+        return number;
+    }
+
+    // Returns the records of `json` that match the query in `options.data`: filtered by `where` (attributes to
+    // match, or a predicate), sorted by `sortBy` (an attribute or an iteratee) in `order` ("asc" or "desc"), then
+    // paginated by `offset` and `limit`. The number of matching records before pagination is set on `options.xhr`,
+    // which answers `getResponseHeader('X-Total-Count')` as a REST API would.
+    function query(json, options) {
+        var data = options.data,
+            records = json;
+
+        if (data.where) {
+            records = _.isFunction(data.where) ? _.filter(records, data.where) : _.where(records, data.where);
+        }
+        if (data.sortBy) {
+            records = _.sortBy(records, data.sortBy);
+            if (data.order === 'desc') {
+                records.reverse();
+            }
+        }
+
+        var total = records.length,
+            offset = queryNumber(data, 'offset', 0),
+            end = offset + queryNumber(data, 'limit', total);
+
+        options.xhr = {
+            total: total,
+            getResponseHeader: function (name) {
+                return name.toLowerCase() === 'x-total-count' ? String(total) : null;
+            }
+        };
+
+        return records.slice(offset, end);
+    }
+
+    // Patches
+    // -------
+
+    // Returns `target` with the attributes of `patch` applied: each replaces the attribute of `target` as a whole,
+    // as Backbone's `set` does, except that `null` removes it. A `patch` that isn't an object (such as the array of
+    // a collection) replaces `target`. Neither is changed.
+    function patchAttributes(target, patch) {
+        if (!_.isPlainObject(patch)) {
+            return patch;
+        }
+
+        var result = _.isPlainObject(target) ? _.clone(target) : {};
+        _.each(patch, function (value, key) {
+            if (value === null) {
+                delete result[key];
+            }
+            else {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    // Returns the JSON Pointer (RFC 6901) to `key` in the value at `path`.
+    function pointer(path, key) {
+        return path + '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    // Returns the JSON Patch (RFC 6902) operations that change `target` as `patchAttributes(target, patch)` does.
+    function patchOperations(target, patch) {
+        return _.flatten(_.map(patch, function (value, key) {
+            var has = _.has(target, key);
+            if (value === null) {
+                return has ? [{ op: 'remove', path: pointer('', key) }] : [];
+            }
+            return [{ op: has ? 'replace' : 'add', path: pointer('', key), value: value }];
+        }));
+    }
+
+    // Returns `json` with the "add", "replace" and "remove" operations of a JSON Patch applied in order, without
+    // changing it.
+    function applyPatch(json, operations) {
+        return _.reduce(operations, function (result, operation) {
+            var tokens = _.map(operation.path.split('/').slice(1), function (token) {
+                return token.replace(/~1/g, '/').replace(/~0/g, '~');
+            });
+            var parent = _.reduce(_.initial(tokens), function (value, token) {
+                return value[token];
+            }, result);
+
+            if (operation.op === 'remove') {
+                delete parent[_.last(tokens)];
+            }
+            else {
+                parent[_.last(tokens)] = _.cloneDeep(operation.value);
+            }
+            return result;
+        }, _.cloneDeep(json));
+    }
+
+    // Validation
+    // ----------
+
+    // Returns the type of `value` as named by JSON Schema.
+    function schemaType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (_.isArray(value)) {
+            return 'array';
+        }
+        if (_.isNumber(value)) {
+            return value % 1 === 0 ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    // Returns the messages of the ways in which `value` at the JSON Pointer `path` doesn't match `schema`, or an
+    // empty array. Supports the `type`, `enum`, `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`,
+    // `properties`, `required`, `additionalProperties` and `items` keywords of JSON Schema.
+    function validateSchema(value, schema, path) {
+        path = path || '';
+
+        var at = (path || '/') + ' ',
+            type = schemaType(value),
+            types = schema.type ? [].concat(schema.type) : null;
+
+        var isType = !types || _.contains(types, type) || (type === 'integer' && _.contains(types, 'number'));
+        if (!isType) {
+            return [at + 'must be of type ' + types.join(' or ')];
+        }
+
+        var errors = [];
+        if (schema.enum && !_.some(schema.enum, _.partial(_.isEqual, value))) {
+            errors.push(at + 'must be one of ' + JSON.stringify(schema.enum));
+        }
+        if (_.isNumber(value)) {
+            if (_.has(schema, 'minimum') && value < schema.minimum) {
+                errors.push(at + 'must be at least ' + schema.minimum);
+            }
+            if (_.has(schema, 'maximum') && value > schema.maximum) {
+                errors.push(at + 'must be at most ' + schema.maximum);
+            }
+        }
+        if (_.isString(value)) {
+            if (_.has(schema, 'minLength') && value.length < schema.minLength) {
+                errors.push(at + 'must have at least ' + schema.minLength + ' characters');
+            }
+            if (_.has(schema, 'maxLength') && value.length > schema.maxLength) {
+                errors.push(at + 'must have at most ' + schema.maxLength + ' characters');
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(at + 'must match ' + schema.pattern);
+            }
+        }
+        if (type === 'object') {
+            _.each(schema.required, function (key) {
+                if (!_.has(value, key)) {
+                    errors.push(pointer(path, key) + ' is required');
+                }
+            });
+            _.each(value, function (propertyValue, key) {
+                var propertySchema = schema.properties && _.has(schema.properties, key) ? schema.properties[key] :
+                    schema.additionalProperties;
+
+                if (propertySchema === false) {
+                    errors.push(pointer(path, key) + ' is not allowed');
+                }
+                else if (_.isObject(propertySchema)) {
+                    errors.push.apply(errors, validateSchema(propertyValue, propertySchema, pointer(path, key)));
+                }
+            });
+        }
+        if (type === 'array' && schema.items) {
+            _.each(value, function (item, i) {
+                errors.push.apply(errors, validateSchema(item, schema.items, pointer(path, i)));
+            });
+        }
+        return errors;
+    }
+
+    // Sync Methods
+    // ------------
+
+    // Each method returns the JSON to resolve with (or a promise of it) and throws (or rejects) on failure. Writes
+    // are passed the `json` to write: the payload of the instance, once middleware has run.
     var syncMethods = {
         
         // Writes current instance data to object store.
-        create: function (instance, options, deferred) {
+        create: function (instance, options, json) {
+            return this._syncWrite(this._syncKey(), json, options);
+        },
+        
+        // Returns the parsed JSON of the object store, or the records matching the query of a collection fetch.
+        read: function (instance, options) {
+            return when(this._syncRead(this._syncKey(), true), function (json) {
+                return instance instanceof Backbone.Collection && _.isArray(json) && isQuery(options) ?
+                    query(json, options) : json;
+            });
+        },
+        
+        // Overwrites object store with current instance data.
+        update: function (instance, options, json) {
+            return this._syncWrite(this._syncKey(), json, options);
+        },
+        
+        // Merges the changed attributes into the object store (see `patchAttributes`). Collections are replaced.
+        patch: function (instance, options, json) {
+            var syncKey = this._syncKey();
+
+            return when(this._syncPeek(syncKey), _.bind(function (storedJson) {
+                if (_.isPlainObject(storedJson) && this._syncPatchLog()) {
+                    return this._syncAppendPatch(syncKey, storedJson, json, options);
+                }
+                return this._syncWrite(syncKey, patchAttributes(storedJson, json), options);
+            }, this));
+        },
+        
+        // Removes data from the object store.
+        delete: function (instance, options) {
+            var syncKey = this._syncKey();
+
+            return when(this._syncGet(), _.bind(function (dataExists) {
+                if (!dataExists) {
+                    throw new StorageNotFoundError('"' + syncKey + '" is not stored', { key: syncKey });
+                }
+
+                return when(this._syncRemove(), function () {
+                    instance.unset(instance.idAttribute, _.pick(options, 'syncMethod'));
+                    // Resolves with `undefined` because the data is deleted from the object store.
+                });
+            }, this));
+        }
+        
+    };
+
+    // Returns a new record id that is unlikely to collide with ids generated in other sessions.
+    function generateId() {
+        return _.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    }
+
+    // Record Methods
+    // --------------
+
+    // Used in place of `syncMethods` by collections in records mode (`syncRecords: true`). Each model is stored
+    // under its own record key and the `syncKey` holds the index of stored ids, so that models are written one 
+    // at a time. `instance` is either a model of the collection or the collection itself. New models have been
+    // given generated ids before they are written (see `_syncAssignIds`).
+    var recordMethods = {
+
+        // Writes a new model, or every model of the collection.
+        create: function (instance, options, json) {
+            return recordMethods.update.call(this, instance, options, json);
+        },
+
+        // Returns the parsed JSON of a model's record, or of every record in the index for the collection (only 
+        // those matching the query of the fetch, if any).
+        read: function (instance, options) {
             if (instance instanceof Backbone.Model) {
-                // Set the instance `idAttribute` to the `syncKey` so that `isNew()` behaves as expected.
-                instance.set(instance.idAttribute, _.result(this, 'syncKey'));
+                return this._syncRead(this._syncRecordKey(instance.id), true);
+            }
+
+            return when(this._syncGetIndex(), _.bind(function (ids) {
+                return whenAll(_.map(ids, function (id) {
+                    return this._syncRead(this._syncRecordKey(id));
+                }, this), function (records) {
+                    records = _.compact(records);
+                    return isQuery(options) ? query(records, options) : records;
+                });
+            }, this));
+        },
+
+        // Overwrites a model's record, or replaces every record with the models of the collection.
+        update: function (instance, options, json) {
+            if (instance instanceof Backbone.Model) {
+                return this._syncSetRecord(instance.id, json, options);
+            }
+
+            var ids = instance.map(function (model) {
+                return model.id;
+            });
+
+            return this._syncSetRecords(ids, json, options);
+        },
+
+        // Merges the changed attributes of a model into its record (see `patchAttributes`), or replaces every record
+        // with the models of the collection.
+        patch: function (instance, options, json) {
+            if (!(instance instanceof Backbone.Model)) {
+                return recordMethods.update.call(this, instance, options, json);
+            }
+
+            var recordKey = this._syncRecordKey(instance.id);
+            return when(this._syncPeek(recordKey), _.bind(function (storedJson) {
+                if (_.isPlainObject(storedJson) && this._syncPatchLog()) {
+                    return this._syncAppendPatch(recordKey, storedJson, json, options);
+                }
+                return this._syncSetRecord(instance.id, patchAttributes(storedJson, json), options);
+            }, this));
+        },
+
+        // Removes a model's record (and its index entry), or every record of the collection and the index.
+        // Resolves with `undefined` because the data is deleted from the object store.
+        delete: function (instance) {
+            return this._syncUpdateIndex(function (ids) {
+                if (instance instanceof Backbone.Model) {
+                    var recordKey = this._syncRecordKey(instance.id);
+
+                    if (instance.isNew() || !_.contains(ids, instance.id)) {
+                        throw new StorageNotFoundError('"' + recordKey + '" is not stored', { key: recordKey });
+                    }
+
+                    return whenAll([
+                        this._syncRemove(recordKey),
+                        this._syncSetIndex(_.without(ids, instance.id))
+                    ], _.noop);
+                }
+
+                return whenAll(_.map(ids, function (id) {
+                    return this._syncRemove(this._syncRecordKey(id));
+                }, this).concat(this._syncRemove()), _.noop);
+            });
+        }
+
+    };
+
+    // Middleware
+    // ----------
+
+    // Functions that every storage operation runs through, before the `syncMiddleware` of the instance. Each is
+    // called with the instance as `this` and with the operation `context` (`{ method, instance, key, payload,
+    // options }`, where `payload` is the JSON to write for writes, an array of the models' JSON for a collection)
+    // and a `next` function that runs the rest of the chain and returns its result (or a promise of it). Middleware
+    // can change `context.payload` before calling `next`, change the result it returns, return a result of its own
+    // without calling `next`, or throw (or reject) to fail the operation.
+    var middleware = [];
+    
+    // Transactions
+    // ------------
+
+    // The transaction that `sync` calls join, while the function passed to `transaction` runs.
+    var currentTransaction = null;
+
+    // Calls the `apply` function of each of `writes` in order, after reading the value it replaces under `key` from
+    // `adapter`. If one fails, the replaced values are restored (removing the keys that had none) and the returned
+    // promise rejects with its error.
+    function applyWrites(writes) {
+        var applied = [];
+
+        return _.reduce(writes, function (previous, write) {
+            return previous.then(function () {
+                return write.adapter.get(write.key);
+            }).then(function (value) {
+                applied.push({ write: write, value: value });
+                return write.apply();
+            });
+        }, Promise.resolve()).then(null, function (error) {
+            return _.reduceRight(applied, function (previous, entry) {
+                var adapter = entry.write.adapter,
+                    key = entry.write.key;
+
+                return previous.then(function () {
+                    return entry.value === null ? adapter.remove(key) : adapter.set(key, entry.value);
+                }).then(null, _.noop);
+            }, Promise.resolve()).then(function () {
+                throw error;
+            });
+        });
+    }
+
+    // Returns a transaction that runs the operations of its participants, buffering their writes and deletes, then
+    // commits the buffered writes together. Each participant has the `instance` whose storage methods buffer, `run`
+    // (the storage operation), `finish` (called with the result of `run` once committed) and `success` and `error`
+    // callbacks, and every participant gets the same outcome.
+    function createTransaction() {
+        var participants = [],
+            writes = [],
+            settlers;
+
+        var tx = {
+            promise: new Promise(function (resolve, reject) {
+                settlers = { resolve: resolve, reject: reject };
+            }),
+
+            // Whether storage methods buffer writes instead of writing to the object store.
+            buffering: false,
+
+            join: function (participant) {
+                participants.push(participant);
+            },
+
+            // Returns the buffered write to `key` in `store` (its `value` is `null` for a delete), if any.
+            find: function (store, key) {
+                return _.find(writes, function (write) {
+                    return write.store === store && write.key === key;
+                });
+            },
+
+            // Buffers writing `value` (or deleting, for `null`) to `key` in the object store of `instance`.
+            buffer: function (instance, key, value) {
+                var store = instance._syncStore(),
+                    write = tx.find(store, key);
+
+                if (write) {
+                    write.value = value;
+                }
+                else {
+                    writes.push({ instance: instance, store: store, key: key, value: value });
+                }
+            },
+
+            // Runs the operations in order and commits their writes, or calls `error` on every participant with
+            // `failure` (or the first error) and commits nothing.
+            run: function (failure) {
+                var results = [];
+
+                var stopBuffering = function () {
+                    tx.buffering = false;
+                    _.each(participants, function (participant) {
+                        delete participant.instance._syncTransaction;
+                    });
+                };
+
+                if (failure) {
+                    return fail(failure);
+                }
+
+                tx.buffering = true;
+                _.each(participants, function (participant) {
+                    participant.instance._syncTransaction = tx;
+                });
+
+                _.reduce(participants, function (previous, participant) {
+                    return previous.then(participant.run).then(function (json) {
+                        results.push(json);
+                    });
+                }, Promise.resolve()).then(function () {
+                    stopBuffering();
+                    return commit();
+                }).then(function () {
+                    return Promise.all(_.map(participants, function (participant, i) {
+                        return participant.finish(results[i]);
+                    }));
+                }).then(function () {
+                    _.each(participants, function (participant, i) {
+                        participant.success(results[i]);
+                    });
+                    settlers.resolve();
+                }, function (error) {
+                    stopBuffering();
+                    fail(error);
+                });
+            }
+        };
+
+        var fail = function (error) {
+            _.each(participants, function (participant) {
+                participant.error(error);
+            });
+            settlers.reject(error);
+        };
+
+        // Writes the buffered values in order, restoring the values they replaced if any write fails.
+        var commit = function () {
+            return applyWrites(_.map(writes, function (write) {
+                return {
+                    adapter: write.instance._syncAdapter(),
+                    key: write.key,
+                    apply: function () {
+                        return write.value === null ?
+                            write.instance._syncRemove(write.key) :
+                            write.instance._syncSet(write.value, write.key);
+                    }
+                };
+            }));
+        };
+
+        // Failures are also reported to the participants, so rejections are not left unhandled when the promise is
+        // ignored.
+        tx.promise.then(null, _.noop);
+
+        return tx;
+    }
+
+    // Calls `fn` (with `context`) and makes the operations that it starts with `sync` (`fetch`, `save`, `destroy`
+    // and so on) a single transaction. Their writes and deletes are buffered and then committed together, and if
+    // anything fails, nothing is written and every operation fails with the same error. Returns a promise that
+    // resolves once the transaction has committed. Calls nested in `fn` join the outer transaction.
+    function transaction(fn, context) {
+        if (currentTransaction) {
+            fn.call(context);
+            return currentTransaction.promise;
+        }
+
+        var tx = currentTransaction = createTransaction(),
+            failure;
+        try {
+            fn.call(context);
+        }
+        catch (error) {
+            failure = error;
+        }
+        finally {
+            currentTransaction = null;
+        }
+
+        // Deferred like the operations that joined it.
+        _.defer(function () {
+            tx.run(failure);
+        });
+
+        return tx.promise;
+    }
+
+    // Snapshots
+    // ---------
+
+    // Snapshots are `{ format, version, exported, namespace, entries }`, where each entry has the `key` and the 
+    // stored `value`, with the `namespace` of the key, the time it was `written`, its `revision` and its 
+    // `syncVersion` when they are known (and `null` otherwise). Snapshots of later versions can't be imported.
+    var SNAPSHOT_FORMAT = 'backbone-storage-sync',
+        SNAPSHOT_VERSION = 1;
+
+    // Returns `options.store`, or the store that instances have used in this session if they have used only one.
+    function snapshotStore(options) {
+        if (options.store) {
+            return options.store;
+        }
+        if (managedStores.length !== 1) {
+            throw(new ReferenceError('"store" must be defined'));
+        }
+        return managedStores[0].store;
+    }
+
+    // Returns the metadata of the snapshot entry for `value` stored under `key`.
+    function entryMetadata(key, value) {
+        var namespace = _.find(_.sortBy(_.keys(registry), 'length').reverse(), function (namespace) {
+            return key.indexOf(namespace + NAMESPACE_SEPARATOR) === 0;
+        });
+
+        // Values that are encrypted or were written by unknown serializers have no readable metadata.
+        var stored = attempt(_.partial(deserialize, value), _.noop),
+            envelope = isEnvelope(stored) ? stored : {};
+
+        return {
+            namespace: namespace || null,
+            written: envelope.syncWritten || null,
+            revision: envelope.syncRevision || null,
+            syncVersion: _.has(envelope, 'syncVersion') ? envelope.syncVersion : null
+        };
+    }
+
+    // Returns the keys of `store` that a snapshot covers (or a promise of them): `options.keys` if given, or else the
+    // keys in `namespace`. Throws a `ReferenceError` without either, since the keys written in earlier sessions
+    // can't be told apart from the other keys of the store.
+    function snapshotKeys(store, namespace, options) {
+        if (options.keys) {
+            return options.keys;
+        }
+        if (!namespace) {
+            throw(new ReferenceError('"namespace" or "keys" must be defined'));
+        }
+        return managedKeys(store, namespace);
+    }
+
+    // Returns a snapshot of the keys in `options.namespace` of `options.store`, or of `options.keys`, or a promise of
+    // it. `options.store` defaults to the store that instances have used in this session, if they have used only
+    // one.
+    function exportSnapshot(options) {
+        options = options || {};
+
+        var store = snapshotStore(options),
+            adapter = resolveAdapter(store);
+
+        return when(snapshotKeys(store, options.namespace, options), function (keys) {
+            return whenAll(_.map(keys, function (key) {
+                return adapter.get(key);
+            }), function (values) {
+                var entries = [];
+                _.each(keys, function (key, i) {
+                    if (values[i] !== null) {
+                        entries.push(_.extend({ key: key, value: values[i] }, entryMetadata(key, values[i])));
+                    }
+                });
+
+                return {
+                    format: SNAPSHOT_FORMAT,
+                    version: SNAPSHOT_VERSION,
+                    exported: Date.now(),
+                    namespace: options.namespace || null,
+                    entries: entries
+                };
+            });
+        });
+    }
+
+    // Throws a `StorageSnapshotError` unless `snapshot` is a snapshot that can be imported into `namespace`.
+    function validateSnapshot(snapshot, namespace) {
+        var fail = function (message) {
+            throw new StorageSnapshotError(message, { snapshot: snapshot });
+        };
+
+        if (!_.isPlainObject(snapshot) || snapshot.format !== SNAPSHOT_FORMAT) {
+            fail('Not a snapshot');
+        }
+        if (!_.isNumber(snapshot.version) || snapshot.version < 1 || snapshot.version > SNAPSHOT_VERSION) {
+            fail('Snapshots at version ' + snapshot.version + ' can\'t be imported');
+        }
+        if (!_.isArray(snapshot.entries)) {
+            fail('The snapshot has no entries');
+        }
+        if (!_.isNull(snapshot.namespace) && !_.isUndefined(snapshot.namespace) && !_.isString(snapshot.namespace)) {
+            fail('The namespace of the snapshot is malformed');
+        }
+
+        var keys = {};
+        _.each(snapshot.entries, function (entry, i) {
+            if (!_.isPlainObject(entry) || !_.isString(entry.key) || !entry.key || !_.isString(entry.value)) {
+                fail('Entry ' + i + ' of the snapshot is malformed');
+            }
+            if (_.has(keys, entry.key)) {
+                fail('"' + entry.key + '" is in the snapshot more than once');
+            }
+            if (namespace && entry.key.indexOf(namespace + NAMESPACE_SEPARATOR) !== 0) {
+                fail('"' + entry.key + '" is not in the "' + namespace + '" namespace');
+            }
+            keys[entry.key] = true;
+        });
+    }
+
+    // Writes the entries of `snapshot` to `options.store` (which defaults as for `exportSnapshot`). With 
+    // `options.mode` "merge" (the default), other keys are kept. With "replace", the other keys in 
+    // `options.namespace` (or the namespace of the snapshot), or in `options.keys`, are removed. Returns a promise of
+    // the imported keys. The promise rejects with a `StorageSnapshotError` if the snapshot is malformed or of a later 
+    // version, and if any write fails, the values that were replaced are restored.
+    function importSnapshot(snapshot, options) {
+        options = _.extend({ mode: 'merge' }, options);
+
+        return Promise.resolve().then(function () {
+            if (options.mode !== 'merge' && options.mode !== 'replace') {
+                throw(new TypeError('"mode" must be "merge" or "replace"'));
+            }
+
+            var namespace = options.namespace || (snapshot && snapshot.namespace);
+            validateSnapshot(snapshot, namespace);
+
+            var store = snapshotStore(options),
+                adapter = resolveAdapter(store),
+                keys = _.pluck(snapshot.entries, 'key');
+
+            var removed = options.mode === 'replace' ? snapshotKeys(store, namespace, options) : [];
+            return when(removed, function (removed) {
+                var writes = _.map(_.difference(removed, keys), function (key) {
+                    return { key: key, value: null };
+                }).concat(snapshot.entries);
+
+                return applyWrites(_.map(writes, function (write) {
+                    return {
+                        adapter: adapter,
+                        key: write.key,
+                        apply: function () {
+                            return write.value === null ?
+                                adapter.remove(write.key) :
+                                adapter.set(write.key, write.value);
+                        }
+                    };
+                }));
+            }).then(_.constant(keys));
+        });
+    }
+
+    // Diagnostics
+    // -----------
+
+    // Web Storage holds about 5 MB per origin in most browsers.
+    var WEB_STORAGE_QUOTA = 5 * 1024 * 1024;
+
+    // Returns the size in bytes of `value` stored under `key`, at 2 bytes per UTF-16 code unit as browsers count
+    // for Web Storage.
+    function byteSize(key, value) {
+        return (String(key).length + String(value).length) * 2;
+    }
+
+    // Returns the usage of `options.store` (which defaults as for `exportSnapshot`), or a promise of it: the bytes
+    // `used` by every key in the store, the estimated `quota` in bytes (`options.quota`, about 5 MB for Web Storage
+    // or `null` when unknown) and the `ratio` of the two, and the `keys` the mixin manages (in `options.namespace`
+    // if given), largest first. Each key has its size in `bytes`, the time it was last `written` and the number of
+    // `reads` and `writes` through the mixin in this session.
+    function storageUsage(options) {
+        options = options || {};
+
+        var store = snapshotStore(options),
+            adapter = resolveAdapter(store),
+            managed = findManagedStore(store),
+            quota = options.quota || (hasMethods(store, ['getItem', 'setItem', 'removeItem', 'key']) ?
+                WEB_STORAGE_QUOTA : null);
+
+        return when(adapter.keys(), function (keys) {
+            return whenAll(_.map(keys, function (key) {
+                return adapter.get(key);
+            }), function (values) {
+                var sizes = _.zipObject(keys, _.map(keys, function (key, i) {
+                    return values[i] === null ? 0 : byteSize(key, values[i]);
+                }));
+                var used = _.sum(sizes);
+
+                return when(managedKeys(store, options.namespace), function (managedKeys) {
+                    var usages = _.map(managedKeys, function (key) {
+                        var usage = (managed && managed.keys[key]) || { reads: 0, writes: 0, written: null },
+                            value = values[_.indexOf(keys, key)];
+
+                        return {
+                            key: key,
+                            bytes: sizes[key] || 0,
+                            written: usage.written || (value ? entryMetadata(key, value).written : null),
+                            reads: usage.reads,
+                            writes: usage.writes
+                        };
+                    });
+
+                    return {
+                        used: used,
+                        quota: quota,
+                        ratio: quota ? used / quota : null,
+                        keys: _.sortBy(usages, 'bytes').reverse()
+                    };
+                });
+            });
+        });
+    }
+
+    // Read Strategies
+    // ---------------
+
+    // How `fetch` combines the object store and the network, chosen with `syncStrategy`. Each strategy calls
+    // `read.cache` and `read.network` through `settle`, and reports with `read.success` and `read.error`.
+    // `read.success` can be called twice, once for each phase.
+    var readStrategies = {
+
+        // Only reads the object store. The default.
+        'cache-only': function (read) {
+            settle(read.cache, read.success, read.error);
+        },
+
+        // Only reads the network, storing the response.
+        'network-only': function (read) {
+            settle(read.network, read.success, read.error);
+        },
+
+        // Reads the object store, and the network when nothing is stored (or the stored data can't be read).
+        'cache-first': function (read) {
+            settle(read.cache, read.success, function () {
+                settle(read.network, read.success, read.error);
+            });
+        },
+
+        // Reads the network, and the object store when the network fails. Fails with the network error when
+        // nothing is stored either.
+        'network-first': function (read) {
+            settle(read.network, read.success, function (error) {
+                settle(read.cache, read.success, function () {
+                    read.error(error);
+                });
+            });
+        },
+
+        // Reads the object store and then the network, succeeding for each.
+        'stale-while-revalidate': function (read) {
+            settle(read.cache, function (json) {
+                read.success(json);
+                settle(read.network, read.success, read.error);
+            }, function () {
+                settle(read.network, read.success, read.error);
+            });
+        }
+
+    };
+
+    // The `sync` of models in a collection in records mode. Syncs through the collection the model is in when it's
+    // called, so a model that was removed or moved to another collection no longer writes into the first one, and
+    // syncs as its own class does otherwise.
+    function syncRecord() {
+        var collection = this.collection;
+        if (collection && _.isFunction(collection._syncIsRecords) && collection._syncIsRecords()) {
+            return collection.sync.apply(collection, arguments);
+        }
+        return this.constructor.prototype.sync.apply(this, arguments);
+    }
+
+    var StorageSyncMixin = {
+        
+        // Backbone Overrides
+        // ------------------
+        
+        // Synchronizes this Backbone model or collection with `syncStore`. 
+        sync: function (method, instance, options) {
+            var syncMethod = (this._syncIsRecords() ? recordMethods : syncMethods)[method];
+            if (!syncMethod) {
+                throw(new ReferenceError('"method" must be defined'));
+            }
+
+            instance = instance || this;
+
+            options = options || {};
+            _.defaults(options, {
+                success: _.noop,
+                error: _.noop,
+                context: instance,
+                parse: true
+            });
+
+            if (!this.syncKey) {
+                throw(new ReferenceError('"syncKey" must be defined'));
+            }
+
+            if (!this.syncStore) {
+                throw(new ReferenceError('"syncStore" must be defined'));
+            }
+
+            if (this._syncIsRecords() && _.result(this, 'syncHistory')) {
+                throw(new TypeError('"syncHistory" can\'t be used with "syncRecords"'));
+            }
+
+            // Changes made by the sync itself have the `syncMethod` in their options, so that they aren't autosaved.
+            options.syncMethod = method;
+
+            if (_.result(this, 'syncLive')) {
+                this.startLiveSync();
+            }
+            if (_.result(this, 'syncAutosave')) {
+                this.startAutosave();
+            }
+
+            // Reads in a transaction only read the object store.
+            var activeTransaction = currentTransaction;
+            var strategy = (method === 'read' && !activeTransaction &&
+                (options.syncStrategy || _.result(this, 'syncStrategy'))) || 'cache-only';
+            if (!readStrategies[strategy]) {
+                throw(new TypeError('"syncStrategy" must be one of ' + _.keys(readStrategies).join(', ')));
+            }
+
+            // With `syncWriteThrough`, writes are also recorded in the outbox. The url is taken now, before 
+            // `create` assigns an id.
+            var writeThrough = method !== 'read' && _.result(this, 'syncWriteThrough'),
+                url = writeThrough && (options.url || _.result(instance, 'url'));
+
+            // Any sync registers an instance with `syncWriteThrough` to replay the entries left from before a reload.
+            if (_.result(this, 'syncWriteThrough')) {
+                this._syncOutbox();
+            }
+
+            var deferred = this._syncDeferred();
+
+            var store = _.bind(function () {
+                return this._syncOperation(method, instance, options);
+            }, this);
+            var record = _.bind(function (json) {
+                if (!writeThrough) {
+                    return json;
+                }
+                return when(this._syncRecordOutbox(method, instance, url, options.attrs || json), _.constant(json));
+            }, this);
+            var operation = function () {
+                return when(store(), record);
+            };
+
+            // Reads with a strategy other than `cache-only` tell their phases apart with `options.syncPhase` and
+            // `sync:cache` or `sync:network` events. The deferred settles with the first phase that does.
+            var phase, isPhased = strategy !== 'cache-only';
+            var read = {
+                cache: _.bind(function () {
+                    phase = 'cache';
+                    if (!isPhased || !this._syncIsRecords() || instance instanceof Backbone.Model) {
+                        return operation();
+                    }
+
+                    // An empty index is still a cache hit, but a missing one is not.
+                    var syncKey = this._syncKey();
+                    return when(this._syncGet(), function (index) {
+                        if (!index) {
+                            throw new StorageNotFoundError('"' + syncKey + '" is not stored', { key: syncKey });
+                        }
+                        return operation();
+                    });
+                }, this),
+                network: _.bind(function () {
+                    phase = 'network';
+                    return this._syncNetwork(instance, options);
+                }, this),
+                success: function (json) {
+                    if (isPhased) {
+                        options.syncPhase = phase;
+                    }
+                    options.success.call(options.context, json);
+                    deferred.resolve(json);
+                    if (isPhased) {
+                        instance.trigger('sync:' + phase, instance, json, options);
+                    }
+                },
+                error: function (error) {
+                    if (isPhased) {
+                        options.syncPhase = phase;
+                    }
+                    options.error.call(options.context, error);
+                    deferred.reject(error);
+                }
+            };
+
+            instance.trigger('request', instance, deferred.promise, options);
+
+            // Defer sync'ing to emulate default sync behavior, unless `syncImmediate` is set (on the instance or in
+            // `options`). The deferred settles once the sync method's result does, so that asynchronous adapters
+            // have finished writing before `success` is called.
+            // In a transaction, the operation runs when the transaction does, and is only recorded in the outbox
+            // once the transaction has committed.
+            var immediate = _.has(options, 'syncImmediate') ? options.syncImmediate : _.result(this, 'syncImmediate');
+            if (activeTransaction) {
+                activeTransaction.join({
+                    instance: this,
+                    run: store,
+                    finish: record,
+                    success: read.success,
+                    error: read.error
+                });
+            }
+            else if (immediate) {
+                readStrategies[strategy](read);
+            }
+            else {
+                _.defer(function () {
+                    readStrategies[strategy](read);
+                });
+            }
+
+            return deferred.promise;
+        },
+
+        // Also stops live sync when called without arguments, as when the instance is disposed of.
+        stopListening: function (obj) {
+            if (!obj) {
+                this.stopLiveSync();
+                this.stopAutosave();
+            }
+            var stopListening = overridden(this, 'stopListening', StorageSyncMixin.stopListening) ||
+                Backbone.Events.stopListening;
+            return stopListening.apply(this, arguments);
+        },
+
+        // Routes the models of a collection in records mode through the collection's `sync`, so that each model
+        // can save, fetch and destroy its own record. Models have no `_prepareModel` to override, so for them this
+        // does nothing.
+        _prepareModel: function (attrs) {
+            var prepareModel = overridden(this, '_prepareModel', StorageSyncMixin._prepareModel);
+            if (!prepareModel) {
+                return attrs;
+            }
+
+            var model = prepareModel.apply(this, arguments);
+            if (model && this._syncIsRecords()) {
+                model.sync = syncRecord;
+            }
+            return model;
+        },
+
+        // Live Sync
+        // ---------
+
+        // Starts applying changes that other tabs make to the stored data, by listening for `storage` events on
+        // `window`. Called on the first sync when `syncLive` is set. Models stop when they are destroyed.
+        startLiveSync: function () {
+            if (this._syncLiveListener || typeof window === 'undefined') {
+                return this;
+            }
+
+            this._syncLiveListener = _.bind(this._syncOnStorage, this);
+            window.addEventListener('storage', this._syncLiveListener);
+
+            if (this instanceof Backbone.Model) {
+                this.once('destroy', this.stopLiveSync, this);
+            }
+            return this;
+        },
+
+        // Stops applying changes that other tabs make to the stored data.
+        stopLiveSync: function () {
+            if (this._syncLiveListener) {
+                window.removeEventListener('storage', this._syncLiveListener);
+                this._syncLiveListener = null;
+            }
+            return this;
+        },
+
+        // Autosave
+        // --------
+
+        // Starts saving the instance after it changes (or, for collections, after models are added or removed or it
+        // is reset). Changes are saved together once none have been made for `syncAutosave.wait` milliseconds
+        // (300 by default), or at most `syncAutosave.maxWait` milliseconds after the first. Pending changes are
+        // also saved when the page is unloaded. Called on the first sync when `syncAutosave` is set. Models stop
+        // when they are destroyed.
+        startAutosave: function () {
+            if (this._syncAutosave) {
+                return this;
+            }
+
+            var settings = _.result(this, 'syncAutosave');
+            this._syncAutosave = _.extend({ wait: 300, maxWait: null }, _.isObject(settings) ? settings : {}, {
+                events: this instanceof Backbone.Collection ? 'change add remove reset' : 'change',
+                timer: null,
+                maxTimer: null,
+                onUnload: _.bind(this.flushAutosave, this)
+            });
+
+            this.listenTo(this, this._syncAutosave.events, this._syncOnAutosaveChange);
+            if (typeof window !== 'undefined') {
+                window.addEventListener('beforeunload', this._syncAutosave.onUnload);
+                window.addEventListener('pagehide', this._syncAutosave.onUnload);
+            }
+
+            if (this instanceof Backbone.Model) {
+                this.once('destroy', this.stopAutosave, this);
+            }
+            return this;
+        },
+
+        // Stops saving the instance after it changes. Pending changes are not saved.
+        stopAutosave: function () {
+            var autosave = this._syncAutosave;
+            if (!autosave) {
+                return this;
+            }
+
+            this.cancelAutosave();
+            Backbone.Events.stopListening.call(this, this, autosave.events, this._syncOnAutosaveChange);
+            if (typeof window !== 'undefined') {
+                window.removeEventListener('beforeunload', autosave.onUnload);
+                window.removeEventListener('pagehide', autosave.onUnload);
+            }
+
+            this._syncAutosave = null;
+            return this;
+        },
+
+        // Saves pending changes now, in the same tick. Returns the deferred of the save, or `undefined` if no
+        // changes were pending.
+        flushAutosave: function () {
+            if (!this._syncAutosave || !this._syncAutosave.timer) {
+                return;
+            }
+            this.cancelAutosave();
+
+            if (this instanceof Backbone.Model) {
+                return this.save(null, { syncImmediate: true });
+            }
+
+            // Collections have no `save`, so failures trigger "error" the way Backbone does for models.
+            var options = { syncImmediate: true };
+            options.error = _.bind(function (error) {
+                this.trigger('error', this, error, options);
+            }, this);
+            return this.sync('update', this, options);
+        },
+
+        // Discards pending changes without saving them.
+        cancelAutosave: function () {
+            var autosave = this._syncAutosave;
+            if (autosave) {
+                clearTimeout(autosave.timer);
+                clearTimeout(autosave.maxTimer);
+                autosave.timer = autosave.maxTimer = null;
+            }
+            return this;
+        },
+
+        // History
+        // -------
+
+        // Returns a promise (see `_syncPromise`) of the past versions of the stored data kept with `syncHistory`,
+        // from the most recent: objects with the `json` of each version and the time it was `written` (`null` if it
+        // isn't known).
+        versions: function () {
+            return this._syncPromise(this._syncVersions);
+        },
+
+        // Returns the differences between the version at `index` in `versions()` and the current data of the
+        // instance, as an object of the differing attributes (or indexes, for collections), each with the 
+        // `current` value and the value in the `version`. Returns a promise, which rejects with a 
+        // `StorageNotFoundError` if there is no such version.
+        diffVersion: function (index) {
+            return this._syncPromise(function () {
+                return when(this._syncVersionAt(index), _.bind(function (json) {
+                    var current = this.toJSON();
+
+                    return _.reduce(_.union(_.keys(current), _.keys(json)), function (diff, attr) {
+                        if (!_.isEqual(current[attr], json[attr])) {
+                            diff[attr] = { current: current[attr], version: json[attr] };
+                        }
+                        return diff;
+                    }, {});
+                }, this));
+            });
+        },
+
+        // Sets the instance to the version at `index` in `versions()` and saves it, which triggers `sync` as 
+        // usual. The data it replaces is kept in the history in turn. Returns a promise that settles with the save,
+        // which rejects with a `StorageNotFoundError` if there is no such version.
+        restore: function (index, options) {
+            options = _.extend({}, options);
+
+            return this._syncPromise(function () {
+                return when(this._syncVersionAt(index), _.bind(function (json) {
+                    if (this instanceof Backbone.Model) {
+                        _.each(_.difference(_.keys(this.attributes), _.keys(json)), function (attr) {
+                            this.unset(attr);
+                        }, this);
+                        this.set(json);
+
+                        var saved = this.save(null, options);
+                        if (saved === false) {
+                            throw this.validationError;
+                        }
+                        return saved;
+                    }
+
+                    // Collections have no `save`, so `success` and `sync` are called the way Backbone does for
+                    // models.
+                    var success = options.success;
+                    options.success = _.bind(function (response) {
+                        if (success) {
+                            success.call(options.context, this, response, options);
+                        }
+                        this.trigger('sync', this, response, options);
+                    }, this);
+
+                    this.reset(json);
+                    return this.sync('update', this, options);
+                }, this));
+            });
+        },
+
+        // Write-Through
+        // -------------
+
+        // Replays the operations waiting in the outbox against the remote sync. Returns a promise that resolves
+        // once they are done.
+        flushOutbox: function () {
+            return this._syncOutbox().flush();
+        },
+
+        // Fallback
+        // --------
+
+        // Returns false if the instance keeps its data in memory, in place of Web Storage that can't be used (see
+        // `syncFallback`), so that it won't survive a reload.
+        isPersistent: function () {
+            var store = this._syncStore();
+            var probed = _.find(probedStores, function (probed) {
+                return probed.fallback === store;
+            });
+            return !probed || probed.persistent;
+        },
+
+        // Private Methods
+        // ---------------
+
+        // Returns the object store: `syncStore`, unless it is Web Storage that can't be used (or `syncStore` throws)
+        // and `syncFallback` isn't `false`. In that case, the store is replaced with the `syncFallback` store, or
+        // with memory if it isn't defined or can't be used either, and the instance triggers "storage:degraded" the
+        // first time. Instances that use the same store share its fallback. With `syncFallback: false`, the error of
+        // `syncStore` is thrown.
+        _syncStore: function () {
+            var store, error;
+            try {
+                store = _.result(this, 'syncStore');
+            }
+            catch (storeError) {
+                store = null;
+                error = storeError;
+            }
+
+            var isWebStorage = !!store && hasMethods(store, ['getItem', 'setItem', 'removeItem', 'key']);
+            if ((!error && !isWebStorage) || _.result(this, 'syncFallback') === false) {
+                if (error) {
+                    throw error;
+                }
+                return store;
+            }
+
+            var probed = findProbedStore(store, error);
+            if (!probed.error) {
+                return store;
             }
 
-            var json = instance.toJSON(options);
-            var data = JSON.stringify(json);
-            this._syncSet(data);
+            if (!probed.fallback) {
+                var fallback = attempt(_.bind(_.result, _, this, 'syncFallback'), _.noop),
+                    isUsable = !!fallback && (!hasMethods(fallback, ['getItem', 'setItem', 'removeItem', 'key']) ||
+                        !findProbedStore(fallback).error);
 
-            options.success.call(options.context, json);
-            deferred.resolve(json);
+                probed.fallback = isUsable ? fallback : {};
+                probed.persistent = isUsable;
+            }
+
+            if (!this._syncDegraded) {
+                this._syncDegraded = true;
+                this.trigger('storage:degraded', this, {
+                    store: store,
+                    fallback: probed.fallback,
+                    persistent: probed.persistent,
+                    error: probed.error
+                });
+            }
+            return probed.fallback;
         },
-        
-        // Returns the parsed JSON of the object store.
-        read: function (instance, options, deferred) {
-            var data = this._syncGet();
-            if (!data) {
-                // Can't parse empty value as json. 
-                options.error.call(options.context, json);
-                deferred.reject(data);
-                return;
+
+        // Returns the outbox of this instance's store and namespace, registering the instance to replay its entries
+        // with `syncRemote` if it is defined, and to decrypt them. The instance triggers the outbox events for its own
+        // entries, and those without an entry.
+        _syncOutbox: function () {
+            var outbox = getOutbox(this._syncStore(), _.result(this, 'syncNamespace'));
+
+            if (!this._syncOutboxListened) {
+                this._syncOutboxListened = true;
+                outbox.register(this._syncKey(), {
+                    remoteSync: this.syncRemote,
+                    decrypt: _.bind(this._syncDeserialize, this)
+                });
+                this.listenTo(outbox, 'all', function (eventName, entry) {
+                    var syncKey = this._syncKey();
+                    if (!entry || entry.key === syncKey || entry.key.indexOf(syncKey + ':') === 0) {
+                        this.trigger.apply(this, arguments);
+                    }
+                });
+            }
+            return outbox;
+        },
+
+        // Records the `method` applied to `instance` in the outbox, to be replayed at `url` with `payload`.
+        // Models created in model mode are replayed without the `syncKey` that was stored as their id.
+        _syncRecordOutbox: function (method, instance, url, payload) {
+            var isRecord = this._syncIsRecords() && instance instanceof Backbone.Model,
+                entryKey = isRecord ? this._syncRecordKey(instance.id) : this._syncKey();
+
+            if (method === 'create' && !this._syncIsRecords() && instance instanceof Backbone.Model) {
+                payload = _.omit(payload, instance.idAttribute);
             }
 
-            var json = JSON.parse(data);
+            var outbox = this._syncOutbox();
+            if (method === 'delete') {
+                return outbox.push(method, entryKey, url, null);
+            }
+            if (!_.result(this, 'syncEncryption')) {
+                return outbox.push(method, entryKey, url, payload);
+            }
+            return when(this._syncSerialize(payload), function (data) {
+                return outbox.push(method, entryKey, url, data, true);
+            });
+        },
 
-            options.success.call(options.context, json);
-            deferred.resolve(json);
+        // Returns the promise of a deferred (see `_syncDeferred`) that settles with the result of calling `fn` on
+        // the instance, so that methods return one and fail the same way for synchronous and asynchronous adapters.
+        _syncPromise: function (fn) {
+            var deferred = this._syncDeferred();
+            settle(_.bind(fn, this), deferred.resolve, deferred.reject);
+            return deferred.promise;
         },
-        
-        // Overwrites object store with current instance data.
-        update: function (instance, options, deferred) {
-            var defaultStr = instance instanceof Backbone.Model ? JSON.stringify({}) : JSON.stringify([]),
-                storedData = this._syncGet() || defaultStr,
-                json = instance.toJSON(options);
 
-            var data = JSON.stringify(json);
-            this._syncSet(data);
+        // Returns the `promise` that `sync` returns with the functions that `resolve` and `reject` it. The promise is
+        // a jQuery Deferred when `Backbone.$` has one, or else a native `Promise`. `syncPromise` can be "native", to
+        // always use a native `Promise`, or a Promise implementation to use instead.
+        _syncDeferred: function () {
+            var syncPromise = this.syncPromise;
+
+            if (!_.isFunction(syncPromise) && syncPromise !== 'native' && Backbone.$ && Backbone.$.Deferred) {
+                var deferred = Backbone.$.Deferred();
+                return {
+                    promise: deferred,
+                    resolve: _.bind(deferred.resolve, deferred),
+                    reject: _.bind(deferred.reject, deferred)
+                };
+            }
+
+            var PromiseImplementation = _.isFunction(syncPromise) ? syncPromise : Promise,
+                settlers;
+            var promise = new PromiseImplementation(function (resolve, reject) {
+                settlers = { resolve: resolve, reject: reject };
+            });
+
+            // Failures are also reported to `error` callbacks and events, so rejections are not left unhandled when
+            // the promise is ignored.
+            promise.then(null, _.noop);
 
-            options.success.call(options.context, json);
-            deferred.resolve(json);
+            return _.extend({ promise: promise }, settlers);
         },
-        
-        // Merges object store with current instance data.
-        patch: function (instance, options, deferred) {
-            var defaultStr = instance instanceof Backbone.Model ? JSON.stringify({}) : JSON.stringify([]),
-                storedData = this._syncGet() || defaultStr,
-                json = _.merge(JSON.parse(storedData), instance.toJSON(options));
 
-            var data = JSON.stringify(json);
-            this._syncSet(data);
+        // Reads `instance` from the network with `syncRemote`, or `Backbone.sync` when it isn't defined, and
+        // stores the response. Returns a promise of the response. Failing to store it doesn't fail the read.
+        _syncNetwork: function (instance, options) {
+            var remoteSync = this.syncRemote || Backbone.sync;
+
+            return new Promise(_.bind(function (resolve, reject) {
+                remoteSync.call(this, 'read', instance, _.extend(_.omit(options, 'success', 'error'), {
+                    success: resolve,
+                    error: reject
+                }));
+            }, this)).then(_.bind(function (json) {
+                var stored = attempt(_.bind(function () {
+                    if (!this._syncIsRecords()) {
+                        return this._syncWrite(this._syncKey(), json, options);
+                    }
+                    if (instance instanceof Backbone.Model) {
+                        return this._syncSetRecord(instance.id, json, options);
+                    }
 
-            options.success.call(options.context, json);
-            deferred.resolve(json);
+                    var idAttribute = instance.model.prototype.idAttribute;
+                    var records = _.filter(json, function (record) {
+                        return record && _.has(record, idAttribute);
+                    });
+                    return this._syncSetRecords(_.pluck(records, idAttribute), records, options);
+                }, this), _.noop);
+
+                return when(stored, _.constant(json));
+            }, this));
+        },
+
+        // Runs `method` of the sync methods (or record methods) on `instance` through the middleware, and returns
+        // its result (or a promise of it). Triggers "storage:before-read", "storage:before-write" or
+        // "storage:before-delete" with the operation context when the chain reaches the method, and the matching
+        // "storage:after-" event with the context and the result once it has succeeded. Patches write
+        // `options.attrs` (the changed attributes that Backbone passes for `save(attrs, { patch: true })`) when it
+        // is given.
+        _syncOperation: function (method, instance, options) {
+            var methods = this._syncIsRecords() ? recordMethods : syncMethods,
+                isWrite = method !== 'read' && method !== 'delete',
+                stage = isWrite ? 'write' : method;
+
+            this._syncAssignIds(method, instance, options);
+
+            var context = {
+                method: method,
+                instance: instance,
+                key: this._syncIsRecords() && instance instanceof Backbone.Model ?
+                    this._syncRecordKey(instance.id) : this._syncKey(),
+                payload: isWrite ? (method === 'patch' && options.attrs) || instance.toJSON(options) : undefined,
+                options: options
+            };
+
+            var operation = _.bind(function () {
+                this.trigger('storage:before-' + stage, this, context);
+                return when(methods[method].call(this, instance, options, context.payload), _.bind(function (result) {
+                    this.trigger('storage:after-' + stage, this, context, result);
+                    if (isWrite) {
+                        this._syncCheckQuota();
+                    }
+                    return result;
+                }, this));
+            }, this);
+
+            var chain = middleware.concat(_.result(this, 'syncMiddleware') || []);
+            return _.reduceRight(chain, function (next, handler) {
+                return _.bind(handler, this, context, next);
+            }, operation, this)();
+        },
+
+        // Gives `instance` the ids that writing it with `method` assigns, so that they are part of its payload: the
+        // `syncKey` for a created model, so that `isNew()` behaves as expected, or, in records mode, generated ids
+        // for the new models written.
+        _syncAssignIds: function (method, instance, options) {
+            var idOptions = _.pick(options, 'syncMethod');
+
+            if (!this._syncIsRecords()) {
+                if (method === 'create' && instance instanceof Backbone.Model) {
+                    instance.set(instance.idAttribute, _.result(this, 'syncKey'), idOptions);
+                }
+                return;
+            }
+
+            var models = instance instanceof Backbone.Model ? (method === 'create' ? [instance] : []) :
+                (method === 'read' || method === 'delete' ? [] : instance.models);
+            _.each(models, function (model) {
+                if (model.isNew()) {
+                    model.set(model.idAttribute, generateId(), idOptions);
+                }
+            });
         },
-        
-        // Removes data from the object store.
-        delete: function (instance, options, deferred) {
-            var dataExists = this._syncGet(),
-                json;// `json` is left `undefined` because the data is deleted from the object store.
 
-            if (dataExists) {
-                this._syncSet(undefined);
-                instance.unset(instance.idAttribute);
-                options.success.call(options.context, json);
-                deferred.resolve(json);
+        // Schedules saving after a change, unless the change was made by a sync (or applied from another tab).
+        _syncOnAutosaveChange: function () {
+            var options = _.last(arguments),
+                autosave = this._syncAutosave;
+
+            if (options && (options.syncMethod || options.syncLive)) {
+                return;
+            }
+
+            var flush = _.bind(this.flushAutosave, this);
+            clearTimeout(autosave.timer);
+            autosave.timer = setTimeout(flush, autosave.wait);
+            if (autosave.maxWait !== null && !autosave.maxTimer) {
+                autosave.maxTimer = setTimeout(flush, autosave.maxWait);
+            }
+        },
+
+        // Handles a `storage` event from another tab by reading the stored data again and applying it with
+        // `_syncApplyExternal`. Events for other keys or other storage areas are ignored. `event.key` is `null`
+        // when the other tab cleared the storage area.
+        _syncOnStorage: function (event) {
+            var syncKey = this._syncKey(),
+                isRecords = this._syncIsRecords();
+
+            var isSyncKey = event.key === null || event.key === syncKey ||
+                event.key === this._syncPatchLogKey(syncKey) || (isRecords && event.key.indexOf(syncKey + ':') === 0);
+            if (!isSyncKey || (event.storageArea && event.storageArea !== this._syncStore())) {
+                return;
+            }
+
+            settle(_.bind(this._syncOperation, this, 'read', this, {}), _.bind(function (json) {
+                this._syncApplyExternal(json, event);
+            }, this), _.bind(function (error) {
+                if (error instanceof StorageNotFoundError) {
+                    this._syncApplyExternal(null, event);
+                }
+                else {
+                    this.trigger('error', this, error, {});
+                }
+            }, this));
+        },
+
+        // Applies `json` stored by another tab through `parse` and `set` (or `reset` for collections with
+        // `syncLive: 'reset'`), then triggers "storage:external-change". `json` is `null` when the data was removed,
+        // which clears a model or empties a collection.
+        _syncApplyExternal: function (json, event) {
+            var options = { parse: true, syncLive: true };
+
+            if (this instanceof Backbone.Model) {
+                if (json === null) {
+                    this.clear(options);
+                }
+                else {
+                    this.set(this.parse(json, options), options);
+                }
             }
             else {
-                options.error.call(options.context, json);
-                deferred.reject(json);
+                var method = _.result(this, 'syncLive') === 'reset' ? 'reset' : 'set';
+                this[method](json || [], options);
             }
-        }
-        
-    };
-    
-    return {
-        
-        // Backbone Overrides
-        // ------------------
-        
-        // Synchronizes this Backbone model or collection with `syncStore`. 
-        sync: function (method, instance, options) {
-            var syncMethod = syncMethods[method];
-            if (!syncMethod) {
-                throw(new ReferenceError('"method" must be defined'));
+
+            this.trigger('storage:external-change', this, json, event);
+        },
+
+        // Returns the key to store data under: `syncKey`, prefixed with `syncNamespace` if it is defined.
+        _syncKey: function () {
+            var syncKey = _.result(this, 'syncKey'),
+                namespace = _.result(this, 'syncNamespace');
+            return namespace ? namespace + NAMESPACE_SEPARATOR + syncKey : syncKey;
+        },
+
+        // Returns the storage adapter for the current value of `syncStore`. The store is registered under 
+        // `syncNamespace`, and `key` (if given) as one of the keys the mixin manages in it, so that the registry 
+        // functions can find them.
+        _syncAdapter: function (key) {
+            var store = this._syncStore(),
+                namespace = _.result(this, 'syncNamespace');
+
+            if (namespace) {
+                registerStore(namespace, store);
             }
+            registerKey(store, key);
+            return resolveAdapter(store);
+        },
 
-            instance = instance || this;
+        // The storage methods below return whatever the adapter returns, which is a promise for asynchronous
+        // adapters.
 
-            options = options || {};
-            _.defaults(options, {
-                success: _.noop,
-                error: _.noop,
-                context: instance,
-                parse: true
+        // Returns the value of the object store as unparsed JSON (or `null` if nothing is stored).
+        // `key` defaults to `syncKey`.
+        _syncGet: function (key) {
+            key = key || this._syncKey();
+
+            var buffered = this._syncBuffered(key);
+            if (buffered) {
+                return buffered.value;
+            }
+
+            lastUsed[key] = Date.now();
+            registerKey(this._syncStore(), key).reads += 1;
+            return this._syncAdapter(key).get(key);
+        },
+
+        // Sets the object store to `value` (which should be stringified JSON). `key` defaults to `syncKey`.
+        // Fails with a `StorageQuotaError` if the object store is full and `syncEviction` can't free enough space.
+        _syncSet: function (value, key) {
+            key = key || this._syncKey();
+
+            if (this._syncTransaction && this._syncTransaction.buffering) {
+                return this._syncTransaction.buffer(this, key, value);
+            }
+
+            lastUsed[key] = Date.now();
+
+            var adapter = this._syncAdapter(key),
+                policy = _.result(this, 'syncEviction');
+
+            var write = function () {
+                return attempt(function () {
+                    return adapter.set(key, value);
+                }, function (error) {
+                    if (isQuotaError(error) && !(error instanceof StorageQuotaError)) {
+                        error = new StorageQuotaError('Not enough space to store "' + key + '"', {
+                            key: key,
+                            cause: error
+                        });
+                    }
+                    throw error;
+                });
+            };
+
+            var written = attempt(write, function (error) {
+                if (!(error instanceof StorageQuotaError) || !policy) {
+                    throw error;
+                }
+                return evict(adapter, policy, key, write, error);
             });
 
-            if (!this.syncKey) {
-                throw(new ReferenceError('"syncKey" must be defined'));
+            return when(written, _.bind(function (result) {
+                var usage = registerKey(this._syncStore(), key);
+                usage.writes += 1;
+                usage.written = Date.now();
+                return result;
+            }, this));
+        },
+
+        // Triggers "storage:near-quota" with the usage of the object store (see `StorageSyncMixin.usage`) when it
+        // reaches `syncQuotaWarning`, a fraction of its estimated quota (or of `syncQuota` bytes). Triggers again
+        // only after usage has dropped below the threshold. Failing to measure usage is ignored. Called once each
+        // write operation has succeeded, which doesn't wait for it, since measuring reads every key in the store.
+        _syncCheckQuota: function () {
+            var threshold = _.result(this, 'syncQuotaWarning');
+            if (!threshold) {
+                return;
             }
 
-            if (!this.syncStore) {
-                throw(new ReferenceError('"syncStore" must be defined'));
+            var store = this._syncStore(),
+                managed = findManagedStore(store),
+                measure = _.partial(storageUsage, { store: store, quota: _.result(this, 'syncQuota') });
+
+            return attempt(_.bind(function () {
+                return when(measure(), _.bind(function (usage) {
+                    var isNear = usage.quota !== null && usage.used >= usage.quota * threshold;
+                    if (isNear && !managed.nearQuota) {
+                        this.trigger('storage:near-quota', this, usage);
+                    }
+                    managed.nearQuota = isNear;
+                }, this));
+            }, this), _.noop);
+        },
+
+        // Removes the value from the object store. `key` defaults to `syncKey`.
+        _syncRemove: function (key) {
+            key = key || this._syncKey();
+
+            if (this._syncTransaction && this._syncTransaction.buffering) {
+                return this._syncTransaction.buffer(this, key, null);
+            }
+
+            return this._syncAdapter(key).remove(key);
+        },
+
+        // Returns the write to `key` buffered by the transaction that the instance is running in, if any.
+        _syncBuffered: function (key) {
+            var tx = this._syncTransaction;
+            return tx && tx.buffering ? tx.find(this._syncStore(), key) : undefined;
+        },
+
+        // Returns the decoded JSON stored under `key`, or `null` if nothing is stored or the entry has expired.
+        // If `required` is true, fails with a `StorageNotFoundError` (or `StorageExpiredError`) instead.
+        _syncRead: function (key, required) {
+            return when(this._syncGet(key), _.bind(function (data) {
+                var json = when(data ? this._syncDecode(data, key) : null, _.bind(this._syncReplayPatches, this, key));
+                return when(json, _.bind(function (json) {
+                    if (required && json === null) {
+                        throw data ?
+                            new StorageExpiredError('"' + key + '" has expired', { key: key }) :
+                            new StorageNotFoundError('"' + key + '" is not stored', { key: key });
+                    }
+                    return json === null ? json : this._syncValidate(key, data, json);
+                }, this));
+            }, this));
+        },
+
+        // Returns `json` read from `data` under `key` if it matches `syncSchema` and passes `validateStored`.
+        // Otherwise, quarantines `data` and fails with a `StorageValidationError`. Like Backbone's `validate`,
+        // `validateStored` is called with the JSON (and the key) and returns an error if it is invalid.
+        _syncValidate: function (key, data, json) {
+            var schema = _.result(this, 'syncSchema'),
+                errors = schema ? validateSchema(json, schema) : [];
+
+            var error = !errors.length && this.validateStored && this.validateStored(json, key);
+            if (error) {
+                errors.push(error);
+            }
+            if (!errors.length) {
+                return json;
             }
 
-            var deferred = Backbone.$.Deferred();
+            var validationError = new StorageValidationError('"' + key + '" is invalid: ' + errors.join(', '), {
+                key: key,
+                errors: errors
+            });
+            return when(this._syncQuarantine(key, data, validationError), function (error) {
+                throw error;
+            });
+        },
 
-            // Defer sync'ing to emulate default sync behavior. 
-            _.defer(syncMethod.bind(this, instance, options, deferred));
+        // Returns the key that data which can't be read from under `key` is moved to.
+        _syncQuarantineKey: function (key) {
+            return key + NAMESPACE_SEPARATOR + INTERNAL_PREFIX + 'quarantine';
+        },
 
-            instance.trigger('request', instance, deferred, options);
+        // Moves `data` that can't be read from under `key` to its quarantine key, with the `error` message and the
+        // time it was `quarantined`, so that the instance can start over while the data stays available. Triggers
+        // "storage:quarantine" with the key and the error, and returns the error with its `quarantineKey` (or a 
+        // promise of it). Data that can't be moved is left in place.
+        _syncQuarantine: function (key, data, error) {
+            var quarantineKey = this._syncQuarantineKey(key),
+                quarantined = JSON.stringify({ value: data, error: error.message, quarantined: Date.now() });
 
-            return deferred;
+            return attempt(_.bind(function () {
+                return when(this._syncSet(quarantined, quarantineKey), _.bind(function () {
+                    return when(this._syncRemove(key), _.bind(function () {
+                        error.quarantineKey = quarantineKey;
+                        this.trigger('storage:quarantine', this, key, error);
+                        return error;
+                    }, this));
+                }, this));
+            }, this), _.constant(error));
         },
 
-        // Private Methods
-        // ---------------
+        // Sets `data` under `key` like `_syncSet`, keeping the data it replaces in the history of `key` with
+        // `syncHistory`. History gives way to the data: it is removed if the data doesn't
+        // fit otherwise, and its oldest versions are dropped if it doesn't fit itself.
+        _syncSetVersion: function (data, key) {
+            var limit = _.result(this, 'syncHistory');
+            if (!limit) {
+                return this._syncSet(data, key);
+            }
+
+            var historyKey = this._syncHistoryKey(key);
+            return whenAll([this._syncGet(key), this._syncGetHistory(key)], _.bind(function (values) {
+                var previous = values[0],
+                    history = values[1];
+
+                if (previous !== null && previous !== data) {
+                    history.versions.unshift({ value: previous, written: history.written });
+                }
+                history.versions = history.versions.slice(0, limit);
+                history.written = Date.now();
+
+                var set = attempt(_.bind(this._syncSet, this, data, key), _.bind(function (error) {
+                    if (!(error instanceof StorageQuotaError)) {
+                        throw error;
+                    }
+                    return when(this._syncRemove(historyKey), _.bind(this._syncSet, this, data, key));
+                }, this));
+
+                return when(set, _.bind(function () {
+                    return this._syncSetHistory(key, history);
+                }, this));
+            }, this));
+        },
+
+        // Returns the key of the history of the data stored under `key`.
+        _syncHistoryKey: function (key) {
+            return key + NAMESPACE_SEPARATOR + INTERNAL_PREFIX + 'history';
+        },
+
+        // Returns the history of `key`: when the stored data was `written`, and its past `versions` as stored, from
+        // the most recent.
+        _syncGetHistory: function (key) {
+            return when(this._syncGet(this._syncHistoryKey(key)), function (data) {
+                return data ? JSON.parse(data) : { written: null, versions: [] };
+            });
+        },
+
+        // Writes the history of `key`, dropping its oldest versions while it doesn't fit, and removing it if it
+        // doesn't fit without any.
+        _syncSetHistory: function (key, history) {
+            var historyKey = this._syncHistoryKey(key),
+                set = _.bind(this._syncSet, this, JSON.stringify(history), historyKey);
+
+            return attempt(set, _.bind(function (error) {
+                if (!(error instanceof StorageQuotaError)) {
+                    throw error;
+                }
+                if (!history.versions.length) {
+                    return this._syncRemove(historyKey);
+                }
+                return this._syncSetHistory(key, _.extend({}, history, { versions: _.initial(history.versions) }));
+            }, this));
+        },
+
+        // Returns the versions listed by `versions()`, or a promise of them for asynchronous adapters.
+        _syncVersions: function () {
+            var key = this._syncKey();
+
+            return when(this._syncGetHistory(key), _.bind(function (history) {
+                return whenAll(_.map(history.versions, function (version) {
+                    return this._syncUnwrap(version.value, key, true);
+                }, this), function (unwrapped) {
+                    return _.map(history.versions, function (version, i) {
+                        return { json: unwrapped[i].json, written: version.written };
+                    });
+                });
+            }, this));
+        },
+
+        // Returns the JSON of the version at `index` in `versions()`. Fails with a `StorageNotFoundError` if there is
+        // no such version.
+        _syncVersionAt: function (index) {
+            var key = this._syncKey();
+
+            return when(this._syncVersions(), function (versions) {
+                if (!versions[index]) {
+                    throw new StorageNotFoundError('Version ' + index + ' of "' + key + '" is not stored', {
+                        key: key
+                    });
+                }
+                return versions[index].json;
+            });
+        },
+
+        // Returns the decoded JSON stored under `key` like `_syncRead`, but without remembering its revision, so 
+        // that writing it back is still checked against the revision the instance read before.
+        _syncPeek: function (key) {
+            return when(this._syncGet(key), _.bind(function (data) {
+                return when(data ? this._syncUnwrap(data, key) : null, _.bind(function (stored) {
+                    return stored && this._syncReplayPatches(key, stored.json);
+                }, this));
+            }, this));
+        },
+
+        // Returns the `syncPatchLog` settings, or `null` if patches are merged into the stored data.
+        _syncPatchLog: function () {
+            var settings = _.result(this, 'syncPatchLog');
+            return settings ? _.extend({ threshold: 50 }, _.isObject(settings) ? settings : {}) : null;
+        },
+
+        // Returns the key of the patch log of the data stored under `key`.
+        _syncPatchLogKey: function (key) {
+            return key + NAMESPACE_SEPARATOR + INTERNAL_PREFIX + 'patches';
+        },
+
+        // Returns the JSON Patch operations logged for `key` since its data was last written, or a promise of them.
+        _syncGetPatches: function (key) {
+            return when(this._syncGet(this._syncPatchLogKey(key)), _.bind(function (data) {
+                return data ? this._syncDeserialize(data) : [];
+            }, this));
+        },
+
+        // Returns `json` read from under `key` with the operations in its patch log applied, with `syncPatchLog`.
+        _syncReplayPatches: function (key, json) {
+            if (!_.isPlainObject(json) || !this._syncPatchLog()) {
+                return json;
+            }
+            return when(this._syncGetPatches(key), function (operations) {
+                return applyPatch(json, operations);
+            });
+        },
+
+        // Appends the operations that patch `storedJson` with `json` to the patch log of `key`, and returns the
+        // patched JSON (or a promise of it). Once the log has more operations than its threshold, the patched JSON
+        // is written instead, which compacts the log away (see `_syncWrite`).
+        _syncAppendPatch: function (key, storedJson, json, options) {
+            var patched = patchAttributes(storedJson, json);
+
+            return when(this._syncGetPatches(key), _.bind(function (operations) {
+                operations = operations.concat(patchOperations(storedJson, json));
+                if (operations.length > this._syncPatchLog().threshold) {
+                    return this._syncWrite(key, patched, options);
+                }
+
+                return when(this._syncSerialize(operations), _.bind(function (data) {
+                    return when(this._syncSet(data, this._syncPatchLogKey(key)), _.constant(patched));
+                }, this));
+            }, this));
+        },
+
+        // Encodes `json` with `_syncEncode` and writes it to the object store under `key`. Returns the JSON that
+        // was written (or a promise of it). With `syncRevisions`, the stored revision is checked first, and a newer
+        // one than the instance has read is a conflict for `_syncResolveConflict`, which may resolve it with
+        // other JSON.
+        _syncWrite: function (key, json, options) {
+            var write = _.bind(function (revision) {
+                return when(this._syncEncode(json, options, revision), _.bind(function (data) {
+                    return when(this._syncSetVersion(data, key), _.bind(function () {
+                        if (revision) {
+                            this._syncSetRevision(key, revision);
+                        }
+                        // The written data replaces whatever its patch log held.
+                        return this._syncPatchLog() ?
+                            when(this._syncRemove(this._syncPatchLogKey(key)), _.constant(json)) : json;
+                    }, this));
+                }, this));
+            }, this);
+
+            if (!_.result(this, 'syncRevisions')) {
+                return write();
+            }
+
+            return when(this._syncGet(key), _.bind(function (data) {
+                return when(data ? this._syncUnwrap(data, key) : null, _.bind(function (stored) {
+                    var storedRevision = stored ? stored.revision : 0,
+                        knownRevision = this._syncRevision(key);
+
+                    if (storedRevision > knownRevision) {
+                        return this._syncResolveConflict(key, json, stored, options);
+                    }
+                    return write(knownRevision + 1);
+                }, this));
+            }, this));
+        },
+
+        // Resolves writing `ours` over the newer `theirs` (unwrapped by `_syncUnwrap`) under `key` with the 
+        // `syncConflict` resolver in `options` or on the instance: "theirs" keeps the stored JSON, "ours" writes 
+        // over it and a function (called with `ours`, the JSON of `theirs` and `key`) returns the JSON to write. 
+        // Fails with a `StorageConflictError` without a resolver.
+        _syncResolveConflict: function (key, ours, theirs, options) {
+            var resolver = options && options.syncConflict !== undefined ? options.syncConflict : this.syncConflict;
+
+            if (!resolver) {
+                throw new StorageConflictError('"' + key + '" has been changed to revision ' + theirs.revision + 
+                    ' since revision ' + this._syncRevision(key) + ' was read', {
+                    key: key,
+                    ours: ours,
+                    theirs: theirs.json,
+                    revision: theirs.revision
+                });
+            }
+
+            this._syncSetRevision(key, theirs.revision);
+            if (resolver === 'theirs') {
+                return theirs.json;
+            }
+
+            // The write checks the revision again, so a resolution that conflicts in turn is resolved again.
+            var resolved = resolver === 'ours' ? ours : resolver.call(this, ours, theirs.json, key);
+            return when(resolved, _.bind(function (json) {
+                return this._syncWrite(key, json, options);
+            }, this));
+        },
 
-        // Returns the value of the object store as unparsed JSON. 
-        _syncGet: function () {
-            var syncKey = _.result(this, 'syncKey');
-            var syncStore = _.result(this, 'syncStore');
-            return syncStore[syncKey];
+        // Returns the revision of the data stored under `key` that the instance last read or wrote, or 0.
+        _syncRevision: function (key) {
+            return (_.has(this, '_syncRevisions') && this._syncRevisions[key]) || 0;
         },
 
-        // Sets the object store to `value` (which should be stringified JSON).
-        _syncSet: function (value) {
-            var syncKey = _.result(this, 'syncKey');
-            var syncStore = _.result(this, 'syncStore');
-            syncStore[syncKey] = value;
+        // Remembers that the instance has read or written `revision` of the data stored under `key`.
+        _syncSetRevision: function (key, revision) {
+            if (!_.has(this, '_syncRevisions')) {
+                this._syncRevisions = {};
+            }
+            this._syncRevisions[key] = revision;
+        },
+
+        // Returns `json` serialized (and encrypted) for the object store, or a promise of it. `json` is wrapped in an
+        // envelope recording its `syncVersion` when this instance is versioned, and its write time when it has a 
+        // `syncTTL`.
+        _syncEncode: function (json, options, revision) {
+            return this._syncSerialize(this._syncEnvelope(json, options, revision));
+        },
+
+        // Returns `json` wrapped in an envelope if there is metadata to store with it, or `json` itself otherwise.
+        // The write time is also recorded with `syncEviction`, so that the entry can be evicted when space runs out.
+        _syncEnvelope: function (json, options, revision) {
+            var version = this._syncVersion(),
+                ttl = options && options.syncTTL !== undefined ? options.syncTTL : _.result(this, 'syncTTL'),
+                evictable = !!_.result(this, 'syncEviction');
+
+            if (version === undefined && !ttl && !evictable && !revision) {
+                return json;
+            }
+
+            var envelope = { syncVersion: version || 0, data: json };
+            if (revision) {
+                envelope.syncRevision = revision;
+            }
+            if (ttl || evictable) {
+                envelope.syncWritten = Date.now();
+            }
+            if (ttl) {
+                envelope.syncTTL = ttl;
+            }
+            return envelope;
+        },
+
+        // Returns the JSON of `data` read from the object store under `key` (see `_syncUnwrap`), and remembers
+        // its revision with `syncRevisions`. Expired data decodes to `null`.
+        _syncDecode: function (data, key) {
+            return when(this._syncUnwrap(data, key), _.bind(function (stored) {
+                if (!stored) {
+                    return null;
+                }
+                if (_.result(this, 'syncRevisions')) {
+                    this._syncSetRevision(key, stored.revision);
+                }
+                return stored.json;
+            }, this));
+        },
+
+        // Returns the `json` of `data` read from the object store under `key`, unwrapped from its envelope and 
+        // migrated to the current `syncVersion`, with its `revision` (0 if it has none). Migrated data is written 
+        // back when `syncWriteMigrations` is set. Expired data is removed from the object store and unwraps to 
+        // `null`. Past versions of the data from its history (`isPast`) are never written back or expired.
+        _syncUnwrap: function (data, key, isPast) {
+            // Data that can't be parsed is corrupted, and is quarantined unless it is a past version.
+            var deserialized = attempt(_.bind(this._syncDeserialize, this, data), _.bind(function (error) {
+                if (error instanceof StorageIntegrityError) {
+                    error.key = key;
+                }
+                if (error instanceof StorageError) {
+                    throw error;
+                }
+
+                var corrupted = new StorageIntegrityError('"' + key + '" is corrupted', { key: key, cause: error });
+                if (isPast) {
+                    throw corrupted;
+                }
+                return when(this._syncQuarantine(key, data, corrupted), function (error) {
+                    throw error;
+                });
+            }, this));
+
+            return when(deserialized, _.bind(function (stored) {
+                var version = this._syncVersion();
+
+                // Data stored without an envelope is at version 0.
+                var envelope = isEnvelope(stored) ? stored : { syncVersion: 0, data: stored };
+                if (!isPast && isExpired(envelope)) {
+                    return when(this._syncRemove(key), _.constant(null));
+                }
+
+                var revision = envelope.syncRevision || 0;
+                if (version === undefined || envelope.syncVersion === version) {
+                    return { json: envelope.data, revision: revision };
+                }
+
+                var json = this._syncMigrate(envelope.data, envelope.syncVersion, version, key),
+                    unwrapped = { json: json, revision: revision };
+                if (!isPast && _.result(this, 'syncWriteMigrations')) {
+                    var migrated = _.extend({}, envelope, { syncVersion: version, data: json });
+                    return when(this._syncSerialize(migrated), _.bind(function (data) {
+                        return when(this._syncSet(data, key), _.constant(unwrapped));
+                    }, this));
+                }
+                return unwrapped;
+            }, this));
+        },
+
+        // Returns `stored` (data or an envelope) as a string for the object store, written by `syncSerializer` and
+        // encrypted if `syncEncryption` is set. Returns a promise if the cipher does.
+        _syncSerialize: function (stored) {
+            var string = serialize(stored, this._syncSerializer()),
+                encryption = _.result(this, 'syncEncryption');
+
+            if (!encryption) {
+                return string;
+            }
+
+            var cipher = encryption.cipher || ciphers.webCrypto();
+            return when(encryption.key(), function (key) {
+                return when(cipher.encrypt(key, string), function (ciphertext) {
+                    return ENCRYPTED_TAG + ciphertext;
+                });
+            });
+        },
+
+        // Returns the data or envelope stored as the string `data`, decrypted if it was encrypted and read by the 
+        // serializer that wrote it. Returns a promise if the cipher does. Fails with a `StorageIntegrityError` if 
+        // `data` can't be decrypted, or if it isn't encrypted although `syncEncryption` is set.
+        _syncDeserialize: function (data) {
+            var encryption = _.result(this, 'syncEncryption');
+
+            if (data.indexOf(ENCRYPTED_TAG) !== 0) {
+                // Unencrypted data could have been put in place of the encrypted data by anyone who can write to the
+                // store, so it is only read with `allowPlaintext`, to migrate data stored before encryption.
+                if (encryption && !encryption.allowPlaintext) {
+                    throw new StorageIntegrityError('Unencrypted data can\'t be read with "syncEncryption"');
+                }
+                return deserialize(data, this._syncSerializer());
+            }
+
+            if (!encryption) {
+                throw new StorageIntegrityError('Encrypted data can\'t be read without "syncEncryption"');
+            }
+
+            var cipher = encryption.cipher || ciphers.webCrypto(),
+                ciphertext = data.slice(ENCRYPTED_TAG.length);
+
+            return when(encryption.key(), _.bind(function (key) {
+                var plaintext = attempt(function () {
+                    return cipher.decrypt(key, ciphertext);
+                }, function (error) {
+                    throw new StorageIntegrityError('Encrypted data could not be decrypted', { cause: error });
+                });
+
+                return when(plaintext, _.bind(function (plaintext) {
+                    return deserialize(plaintext, this._syncSerializer());
+                }, this));
+            }, this));
+        },
+
+        // Returns the serializer to write with: `syncSerializer`, or "json" if it isn't defined.
+        _syncSerializer: function () {
+            return _.result(this, 'syncSerializer') || serializers.json();
+        },
+
+        // Returns the current data version: `syncVersion`, or the number of `migrations` if it isn't defined.
+        // Returns `undefined` for unversioned instances.
+        _syncVersion: function () {
+            var version = _.result(this, 'syncVersion');
+            var migrations = _.result(this, 'migrations');
+            if (version === undefined && migrations) {
+                version = migrations.length;
+            }
+            return version;
+        },
+
+        // Runs `json` stored under `key` through `migrations` from `storedVersion` up to `version`. 
+        // `migrations[n]` upgrades data from version `n` to version `n + 1`.
+        _syncMigrate: function (json, storedVersion, version, key) {
+            var migrations = _.result(this, 'migrations') || [];
+
+            if (storedVersion > version || !_.every(_.range(storedVersion, version), _.partial(_.has, migrations))) {
+                throw new StorageVersionError('"' + key + '" is stored at version ' + storedVersion + 
+                    ' and can\'t be migrated to version ' + version, {
+                    key: key,
+                    storedVersion: storedVersion,
+                    version: version
+                });
+            }
+
+            return _.reduce(_.range(storedVersion, version), function (memo, n) {
+                return migrations[n].call(this, memo);
+            }, json, this);
+        },
+
+        // Returns true if this is a collection that stores each of its models as a separate record.
+        _syncIsRecords: function () {
+            return this instanceof Backbone.Collection && !!_.result(this, 'syncRecords');
+        },
+
+        // Returns the key of the record holding the model with `id`.
+        _syncRecordKey: function (id) {
+            return this._syncKey() + ':' + id;
+        },
+
+        // Returns the ids listed in the records index.
+        _syncGetIndex: function () {
+            return when(this._syncGet(), function (data) {
+                return data ? JSON.parse(data) : [];
+            });
+        },
+
+        // Overwrites the records index with `ids`.
+        _syncSetIndex: function (ids) {
+            return this._syncSet(JSON.stringify(ids));
+        },
+
+        // Calls `change` on the instance with the ids listed in the records index, once the index updates queued
+        // before it are done (see `queueUpdate`). Returns the result of `change` (or a promise of it).
+        _syncUpdateIndex: function (change) {
+            return queueUpdate(this._syncStore(), this._syncKey(), _.bind(function () {
+                return when(this._syncGetIndex(), _.bind(change, this));
+            }, this));
+        },
+
+        // Replaces every record with `collectionJson`, stored under the matching `ids`, and rewrites the index.
+        // Returns the JSON written for each record (see `_syncWrite`).
+        _syncSetRecords: function (ids, collectionJson, options) {
+            return this._syncUpdateIndex(function (storedIds) {
+                var removed = _.map(_.difference(storedIds, ids), function (id) {
+                    return this._syncRemove(this._syncRecordKey(id));
+                }, this);
+                var written = _.map(collectionJson, function (recordJson, i) {
+                    return this._syncWrite(this._syncRecordKey(ids[i]), recordJson, options);
+                }, this);
+
+                return whenAll(removed.concat(written), _.bind(function (results) {
+                    return when(this._syncSetIndex(ids), _.constant(results.slice(removed.length)));
+                }, this));
+            });
+        },
+
+        // Writes `json` to the record of the model with `id`, adding `id` to the index if it isn't listed.
+        // Returns the JSON written (see `_syncWrite`).
+        _syncSetRecord: function (id, json, options) {
+            return when(this._syncWrite(this._syncRecordKey(id), json, options), _.bind(function (written) {
+                return this._syncUpdateIndex(function (ids) {
+                    return when(_.contains(ids, id) || this._syncSetIndex(ids.concat(id)), _.constant(written));
+                });
+            }, this));
         }
     };
+
+    // Static members are not enumerable so that `extend(StorageSyncMixin)` does not copy them onto prototypes.
+    Object.defineProperties(StorageSyncMixin, {
+        adapters: { value: adapters },
+        resolveAdapter: { value: resolveAdapter },
+        serializers: { value: serializers },
+        ciphers: { value: ciphers },
+        sweepExpired: { value: sweepExpired },
+        transaction: { value: transaction },
+        outbox: { value: getOutbox },
+        export: { value: exportSnapshot },
+        usage: { value: storageUsage },
+        middleware: { value: middleware },
+        import: { value: importSnapshot },
+        keys: { value: namespaceKeys },
+        clear: { value: clearNamespace },
+        size: { value: namespaceSize },
+        StorageError: { value: StorageError },
+        StorageNotFoundError: { value: StorageNotFoundError },
+        StorageExpiredError: { value: StorageExpiredError },
+        StorageQuotaError: { value: StorageQuotaError },
+        StorageIntegrityError: { value: StorageIntegrityError },
+        StorageValidationError: { value: StorageValidationError },
+        StorageVersionError: { value: StorageVersionError },
+        StorageConflictError: { value: StorageConflictError },
+        StorageSnapshotError: { value: StorageSnapshotError }
+    });
+
+    return StorageSyncMixin;
 });
\ No newline at end of file
@@ -1,13 +1,71 @@
 /* jshint node:true, expr:true */
-/* global describe,beforeEach,it */
+/* global describe,beforeEach,afterEach,it,window */
 
 var _ = require('lodash');
 var Backbone = require('backbone');
 var expect = require('chai').expect;
 var sinon = require('sinon');
+var crypto = require('crypto');
+var FDBFactory = require('fake-indexeddb/lib/FDBFactory');
 
 var StorageSyncMixin = require('../backbone-storage-sync');
 
+// Minimal in-memory implementation of the Web Storage API.
+function FakeStorage() {
+    this._data = {};
+}
+
+Object.defineProperty(FakeStorage.prototype, 'length', {
+    get: function () { return _.keys(this._data).length; }
+});
+
+_.extend(FakeStorage.prototype, {
+    key: function (i) { return _.keys(this._data)[i] || null; },
+    getItem: function (key) { return _.has(this._data, key) ? this._data[key] : null; },
+    setItem: function (key, value) { this._data[key] = String(value); },
+    removeItem: function (key) { delete this._data[key]; },
+    clear: function () { this._data = {}; }
+});
+
+// Web Storage that throws a `QuotaExceededError` when its keys and values would total more than `limit` characters.
+function QuotaStorage(limit) {
+    FakeStorage.call(this);
+    this.limit = limit;
+}
+
+QuotaStorage.prototype = Object.create(FakeStorage.prototype);
+
+QuotaStorage.prototype.setItem = function (key, value) {
+    var size = _.sum(_.map(_.omit(this._data, key), function (value, key) { return key.length + value.length; }));
+    if (size + key.length + String(value).length > this.limit) {
+        var error = new Error('The quota has been exceeded.');
+        error.name = 'QuotaExceededError';
+        error.code = 22;
+        throw error;
+    }
+    FakeStorage.prototype.setItem.call(this, key, value);
+};
+
+// Minimal `window` that dispatches events to listeners added with `addEventListener`.
+function FakeWindow() {
+    this._listeners = [];
+}
+
+_.extend(FakeWindow.prototype, {
+    addEventListener: function (type, listener) { this._listeners.push({ type: type, listener: listener }); },
+    removeEventListener: function (type, listener) {
+        this._listeners = _.reject(this._listeners, { type: type, listener: listener });
+    },
+    dispatchEvent: function (event) {
+        _.each(_.filter(this._listeners, { type: event.type }), function (entry) { entry.listener(event); });
+    }
+});
+
+// Returns a synthetic `StorageEvent` for a change another tab made to `storageArea`.
+function storageEvent(storageArea, key, newValue) {
+    return { type: 'storage', key: key, newValue: newValue, storageArea: storageArea };
+}
+
 describe('StorageSyncMixin', function () {
 
     // Mock $.Deferred for testing (since node.js test environment can't use jQuery).
@@ -435,7 +493,7 @@ describe('StorageSyncMixin', function () {
                 });
             });
 
-            it('should merge existing object with new object', function (done) {
+            it('should replace existing object with new object', function (done) {
                 var storedModel = new StoredModel({ id: syncKey });
                 storedModel.set('nested', { unrelated: 'data' });
 
@@ -445,7 +503,6 @@ describe('StorageSyncMixin', function () {
                 _.defer(function () {
                     var data = JSON.parse(storedModel.syncStore[syncKey]);
                     expect(data.nested).to.deep.equal({
-                        key1: 'value1',
                         unrelated: 'data'
                     });
                     done();
@@ -470,6 +527,65 @@ describe('StorageSyncMixin', function () {
                     done();
                 });
             });            
+
+            it('should only write the attributes passed to save', function (done) {
+                var storedModel = new StoredModel({ id: syncKey, saved: 'local', nested: { local: true } });
+
+                // act
+                storedModel.save({ added: 'value' }, { patch: true });
+
+                _.defer(function () {
+                    var data = JSON.parse(storedModel.syncStore[syncKey]);
+                    expect(data).to.deep.equal({
+                        id: syncKey,
+                        saved: 'data',
+                        nested: { key1: 'value1' },
+                        added: 'value'
+                    });
+                    done();
+                });
+            });
+
+            it('should remove attributes patched with null', function (done) {
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.save({ saved: null }, { patch: true });
+
+                _.defer(function () {
+                    var data = JSON.parse(storedModel.syncStore[syncKey]);
+                    expect(_.has(data, 'saved')).to.be.false;
+                    done();
+                });
+            });
+
+            it('should keep the attributes passed to save on the model', function (done) {
+                syncStore[syncKey] = JSON.stringify({ id: syncKey, prefs: { a: 0, b: 2 } });
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.save({ prefs: { a: 1 } }, { patch: true });
+
+                _.defer(function () {
+                    expect(JSON.parse(storedModel.syncStore[syncKey]).prefs).to.deep.equal({ a: 1 });
+                    expect(storedModel.get('prefs')).to.deep.equal({ a: 1 });
+                    done();
+                });
+            });
+
+            it('should replace arrays', function (done) {
+                syncStore[syncKey] = JSON.stringify({ id: syncKey, tags: ['a', 'b', 'c'] });
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.save({ tags: ['d'] }, { patch: true });
+
+                _.defer(function () {
+                    var data = JSON.parse(storedModel.syncStore[syncKey]);
+                    expect(data.tags).to.deep.equal(['d']);
+                    done();
+                });
+            });
         });
 
         describe('destroy', function () {
@@ -650,4 +766,4613 @@ describe('StorageSyncMixin', function () {
             });
         });
     });
+    describe('Mixed into a Backbone Collection in records mode', function () {
+        var StoredCollection, syncKey = 'records', syncStore;
+
+        beforeEach(function () {
+            // populate syncStore with test data
+            syncStore = {};
+            syncStore[syncKey] = JSON.stringify(['a', 'b']);
+            syncStore[syncKey + ':a'] = JSON.stringify({ id: 'a', first: 1 });
+            syncStore[syncKey + ':b'] = JSON.stringify({ id: 'b', second: 2 });
+
+            StoredCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true
+            }).extend(StorageSyncMixin);
+        });
+
+        describe('fetch', function () {
+            it('should rebuild the collection from the index', function (done) {
+                var storedCollection = new StoredCollection();
+
+                // act
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    expect(storedCollection.toJSON()).to.deep.equal([
+                        { id: 'a', first: 1 },
+                        { id: 'b', second: 2 }
+                    ]);
+                    done();
+                });
+            });
+
+            it('should skip ids without a stored record', function (done) {
+                var storedCollection = new StoredCollection();
+                delete syncStore[syncKey + ':a'];
+
+                // act
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    expect(storedCollection.pluck('id')).to.deep.equal(['b']);
+                    done();
+                });
+            });
+        });
+
+        describe('create', function () {
+            it('should store the model under its own record key and add it to the index', function (done) {
+                var storedCollection = new StoredCollection();
+
+                // act
+                var model = storedCollection.create({ foo: 'bar' });
+
+                _.defer(function () {
+                    expect(model.isNew()).to.be.false;
+                    expect(JSON.parse(syncStore[syncKey + ':' + model.id]).foo).to.equal('bar');
+                    expect(JSON.parse(syncStore[syncKey])).to.deep.equal(['a', 'b', model.id]);
+                    done();
+                });
+            });
+
+            it('should not touch other records', function (done) {
+                var storedCollection = new StoredCollection();
+                var before = syncStore[syncKey + ':a'];
+
+                // act
+                storedCollection.create({ id: 'c' });
+
+                _.defer(function () {
+                    expect(syncStore[syncKey + ':a']).to.equal(before);
+                    expect(JSON.parse(syncStore[syncKey + ':c'])).to.deep.equal({ id: 'c' });
+                    done();
+                });
+            });
+        });
+
+        describe('model.save', function () {
+            it('should only rewrite the model record', function (done) {
+                var storedCollection = new StoredCollection();
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    var before = syncStore[syncKey + ':b'];
+
+                    // act
+                    storedCollection.get('a').save({ first: 'updated' });
+
+                    _.defer(function () {
+                        expect(JSON.parse(syncStore[syncKey + ':a']).first).to.equal('updated');
+                        expect(syncStore[syncKey + ':b']).to.equal(before);
+                        expect(JSON.parse(syncStore[syncKey])).to.deep.equal(['a', 'b']);
+                        done();
+                    });
+                });
+            });
+
+            it('should merge the model record when patching', function (done) {
+                var storedCollection = new StoredCollection();
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    // act
+                    storedCollection.get('a').save({ extra: true }, { patch: true });
+
+                    _.defer(function () {
+                        expect(JSON.parse(syncStore[syncKey + ':a'])).to.deep.equal({ id: 'a', first: 1, extra: true });
+                        done();
+                    });
+                });
+            });
+            it('should sync a removed model through its own sync', function (done) {
+                var sync = sinon.spy();
+                StoredCollection = StoredCollection.extend({ model: Backbone.Model.extend({ sync: sync }) });
+                var storedCollection = new StoredCollection();
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    var before = _.clone(syncStore);
+                    var model = storedCollection.remove('a');
+
+                    // act
+                    model.save({ first: 'updated' });
+
+                    _.defer(function () {
+                        expect(sync.calledOnce).to.be.true;
+                        expect(sync.firstCall.args[1]).to.equal(model);
+                        expect(syncStore).to.deep.equal(before);
+                        done();
+                    });
+                });
+            });
+
+            it('should sync a moved model through the collection it was moved to', function (done) {
+                var otherStore = {};
+                var OtherCollection = Backbone.Collection.extend({
+                    syncStore: otherStore,
+                    syncKey: 'other',
+                    syncRecords: true
+                }).extend(StorageSyncMixin);
+                var storedCollection = new StoredCollection();
+                var otherCollection = new OtherCollection();
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    var model = storedCollection.remove('a');
+                    otherCollection.add(model);
+
+                    // act
+                    model.save({ first: 'updated' });
+
+                    _.defer(function () {
+                        expect(JSON.parse(syncStore[syncKey + ':a'])).to.deep.equal({ id: 'a', first: 1 });
+                        expect(JSON.parse(otherStore['other:a'])).to.deep.equal({ id: 'a', first: 'updated' });
+                        done();
+                    });
+                });
+            });
+            it('should call the _prepareModel that the mixin overrides', function (done) {
+                var prepared = [];
+                var BaseCollection = Backbone.Collection.extend({
+                    _prepareModel: function () {
+                        var model = Backbone.Collection.prototype._prepareModel.apply(this, arguments);
+                        prepared.push(model);
+                        return model;
+                    }
+                });
+                var PreparedCollection = BaseCollection.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncRecords: true
+                }).extend(StorageSyncMixin);
+                var collection = new PreparedCollection([{ id: 'a', first: 1 }]);
+
+                // act
+                collection.get('a').save({ first: 'updated' }, {
+                    success: function () {
+                        expect(prepared).to.deep.equal([collection.get('a')]);
+                        expect(JSON.parse(syncStore[syncKey + ':a']).first).to.equal('updated');
+                        done();
+                    }
+                });
+            });
+
+            it('should save models when the mixin is applied at two levels', function (done) {
+                var SubCollection = StoredCollection.extend(_.extend({}, StorageSyncMixin, { syncKey: 'sub' }));
+                var collection = new SubCollection([{ id: 'a', first: 1 }]);
+
+                // act
+                collection.get('a').save({ first: 'updated' }, {
+                    success: function () {
+                        expect(JSON.parse(syncStore['sub:a']).first).to.equal('updated');
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('model.destroy', function () {
+            it('should remove only the model record and its index entry', function (done) {
+                var storedCollection = new StoredCollection();
+                storedCollection.fetch();
+
+                _.defer(function () {
+                    // act
+                    storedCollection.get('a').destroy();
+
+                    _.defer(function () {
+                        expect(syncStore).to.not.have.property(syncKey + ':a');
+                        expect(syncStore).to.have.property(syncKey + ':b');
+                        expect(JSON.parse(syncStore[syncKey])).to.deep.equal(['b']);
+                        expect(storedCollection.pluck('id')).to.deep.equal(['b']);
+                        done();
+                    });
+                });
+            });
+
+            it('should call error callback if the record is not stored', function (done) {
+                var error = sinon.spy();
+                var storedCollection = new StoredCollection([{ id: 'missing' }]);
+
+                // act
+                storedCollection.get('missing').destroy({ error: error });
+
+                _.defer(function () {
+                    expect(error.calledOnce).to.be.true;
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('Storage adapters', function () {
+        var syncKey = 'test';
+
+        describe('resolveAdapter', function () {
+            it('should use an object that implements the adapter interface as-is', function () {
+                var adapter = { get: _.noop, set: _.noop, remove: _.noop, keys: _.noop, clear: _.noop };
+
+                // act
+                var actual = StorageSyncMixin.resolveAdapter(adapter);
+
+                expect(actual).to.equal(adapter);
+            });
+
+            it('should adapt Web Storage objects through getItem/setItem/removeItem', function () {
+                var storage = new FakeStorage();
+                var adapter = StorageSyncMixin.resolveAdapter(storage);
+
+                // act
+                adapter.set(syncKey, 'value');
+
+                expect(storage.getItem(syncKey)).to.equal('value');
+                expect(adapter.get(syncKey)).to.equal('value');
+                expect(adapter.keys()).to.deep.equal([syncKey]);
+
+                adapter.remove(syncKey);
+                expect(adapter.get(syncKey)).to.be.null;
+            });
+
+            it('should adapt Map objects', function () {
+                var map = new Map();
+                var adapter = StorageSyncMixin.resolveAdapter(map);
+
+                // act
+                adapter.set(syncKey, 'value');
+
+                expect(map.get(syncKey)).to.equal('value');
+                expect(adapter.keys()).to.deep.equal([syncKey]);
+
+                adapter.clear();
+                expect(map.size).to.equal(0);
+            });
+
+            it('should adapt plain objects', function () {
+                var object = {};
+                var adapter = StorageSyncMixin.resolveAdapter(object);
+
+                // act
+                adapter.set(syncKey, 'value');
+
+                expect(object[syncKey]).to.equal('value');
+                expect(adapter.get('missing')).to.be.null;
+
+                adapter.remove(syncKey);
+                expect(object).to.not.have.property(syncKey);
+            });
+
+            it('should not be copied onto prototypes by extend()', function () {
+                var StoredModel = Backbone.Model.extend(StorageSyncMixin);
+
+                expect(StoredModel.prototype.resolveAdapter).to.be.undefined;
+                expect(StoredModel.prototype.adapters).to.be.undefined;
+            });
+        });
+
+        describe('Mixed into a Backbone Model backed by Web Storage', function () {
+            var StoredModel, syncStore;
+
+            beforeEach(function () {
+                syncStore = new FakeStorage();
+                syncStore.setItem(syncKey, JSON.stringify({ id: syncKey, saved: 'data' }));
+
+                StoredModel = Backbone.Model.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should fetch saved data', function (done) {
+                var storedModel = new StoredModel();
+
+                // act
+                storedModel.fetch();
+
+                _.defer(function () {
+                    expect(storedModel.get('saved')).to.equal('data');
+                    done();
+                });
+            });
+
+            it('should save data with setItem()', function (done) {
+                var storedModel = new StoredModel({ id: syncKey });
+                storedModel.set('saved', 'updated');
+
+                // act
+                storedModel.save();
+
+                _.defer(function () {
+                    expect(JSON.parse(syncStore.getItem(syncKey)).saved).to.equal('updated');
+                    done();
+                });
+            });
+
+            it('should remove the key on destroy', function (done) {
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.destroy();
+
+                _.defer(function () {
+                    expect(syncStore.getItem(syncKey)).to.be.null;
+                    expect(syncStore.length).to.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+    describe('Asynchronous adapters', function () {
+        var syncKey = 'async';
+
+        describe('memory', function () {
+            it('should return promises from every method', function () {
+                var adapter = StorageSyncMixin.adapters.memory();
+
+                _.each(['get', 'set', 'remove', 'keys', 'clear'], function (method) {
+                    expect(adapter[method]('key').then).to.be.a('function');
+                });
+            });
+
+            it('should resolve get() with null for missing keys', function () {
+                var adapter = StorageSyncMixin.adapters.memory();
+
+                return adapter.get('missing').then(function (value) {
+                    expect(value).to.be.null;
+                });
+            });
+        });
+
+        describe('Mixed into a Backbone Model backed by an asynchronous adapter', function () {
+            var StoredModel, syncStore;
+
+            beforeEach(function () {
+                var initial = {};
+                initial[syncKey] = JSON.stringify({ id: syncKey, saved: 'data' });
+                syncStore = StorageSyncMixin.adapters.memory(initial);
+
+                StoredModel = Backbone.Model.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should fetch saved data', function (done) {
+                var storedModel = new StoredModel();
+
+                // act
+                storedModel.fetch({
+                    success: function () {
+                        expect(storedModel.get('saved')).to.equal('data');
+                        done();
+                    }
+                });
+            });
+
+            it('should resolve the deferred only once the write is done', function (done) {
+                var finishWrite;
+                sinon.stub(syncStore, 'set', function () {
+                    return new Promise(function (resolve) {
+                        finishWrite = resolve;
+                    });
+                });
+                var success = sinon.spy();
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                var actual = storedModel.save(null, { success: success });
+
+                setTimeout(function () {
+                    expect(success.called).to.be.false;
+                    expect(actual.state()).to.equal('pending');
+
+                    finishWrite();
+
+                    _.defer(function () {
+                        expect(success.calledOnce).to.be.true;
+                        expect(actual.state()).to.equal('resolved');
+                        done();
+                    });
+                }, 10);
+            });
+
+            it('should remove the key on destroy', function (done) {
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.destroy({
+                    success: function () {
+                        syncStore.keys().then(function (keys) {
+                            expect(keys).to.deep.equal([]);
+                            done();
+                        });
+                    }
+                });
+            });
+
+            it('should call error callback and reject if the key is not stored', function (done) {
+                var storedModel = new StoredModel();
+
+                syncStore.remove(syncKey).then(function () {
+                    // act
+                    var actual = storedModel.fetch({
+                        error: function (model, error) {
+                            expect(error).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                            expect(error.key).to.equal(syncKey);
+                            _.defer(function () {
+                                expect(actual.state()).to.equal('rejected');
+                                done();
+                            });
+                        }
+                    });
+                });
+            });
+
+            it('should call error callback if the adapter rejects', function (done) {
+                var failure = new Error('write failed');
+                sinon.stub(syncStore, 'set', function () {
+                    return Promise.reject(failure);
+                });
+                var storedModel = new StoredModel({ id: syncKey });
+
+                // act
+                storedModel.save(null, {
+                    error: function (model, error) {
+                        expect(error).to.equal(failure);
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('Mixed into a Backbone Collection in records mode backed by an asynchronous adapter', function () {
+            it('should save and fetch records', function (done) {
+                var StoredCollection = Backbone.Collection.extend({
+                    syncStore: StorageSyncMixin.adapters.memory(),
+                    syncKey: syncKey,
+                    syncRecords: true
+                }).extend(StorageSyncMixin);
+                var storedCollection = new StoredCollection();
+
+                // act
+                storedCollection.create({ id: 'a', foo: 'bar' }, {
+                    success: function () {
+                        var fetchedCollection = new StoredCollection();
+                        fetchedCollection.fetch({
+                            success: function () {
+                                expect(fetchedCollection.toJSON()).to.deep.equal([{ id: 'a', foo: 'bar' }]);
+                                done();
+                            }
+                        });
+                    }
+                });
+            });
+
+            it('should index every record of concurrent creates', function (done) {
+                var memory = StorageSyncMixin.adapters.memory();
+                var delayed = function (method) {
+                    return function () {
+                        var args = arguments;
+                        return new Promise(function (resolve) {
+                            setTimeout(resolve, 5);
+                        }).then(function () {
+                            return memory[method].apply(memory, args);
+                        });
+                    };
+                };
+                var StoredCollection = Backbone.Collection.extend({
+                    syncStore: {
+                        get: delayed('get'),
+                        set: delayed('set'),
+                        remove: delayed('remove'),
+                        keys: delayed('keys'),
+                        clear: delayed('clear')
+                    },
+                    syncKey: syncKey,
+                    syncRecords: true
+                }).extend(StorageSyncMixin);
+                var storedCollection = new StoredCollection();
+                var created = _.after(3, function () {
+                    var fetchedCollection = new StoredCollection();
+                    fetchedCollection.fetch({
+                        success: function () {
+                            expect(fetchedCollection.pluck('id')).to.deep.equal(['a', 'b', 'c']);
+                            done();
+                        }
+                    });
+                });
+
+                // act
+                _.each(['a', 'b', 'c'], function (id) {
+                    storedCollection.create({ id: id }, { success: created });
+                });
+            });
+        });
+
+        describe('indexedDB', function () {
+            var adapter;
+
+            beforeEach(function () {
+                adapter = StorageSyncMixin.adapters.indexedDB({ indexedDB: new FDBFactory() });
+            });
+
+            it('should set, get and remove values', function () {
+                return adapter.set(syncKey, 'value').then(function () {
+                    return adapter.get(syncKey);
+                }).then(function (value) {
+                    expect(value).to.equal('value');
+                    return adapter.remove(syncKey);
+                }).then(function () {
+                    return adapter.get(syncKey);
+                }).then(function (value) {
+                    expect(value).to.be.null;
+                });
+            });
+
+            it('should list and clear keys', function () {
+                return Promise.all([adapter.set('a', '1'), adapter.set('b', '2')]).then(function () {
+                    return adapter.keys();
+                }).then(function (keys) {
+                    expect(keys).to.deep.equal(['a', 'b']);
+                    return adapter.clear();
+                }).then(function () {
+                    return adapter.keys();
+                }).then(function (keys) {
+                    expect(keys).to.deep.equal([]);
+                });
+            });
+
+            it('should open the database again after a failed open', function () {
+                var fakeIndexedDB = new FDBFactory();
+                var error = new Error('Blocked');
+                var opens = 0;
+                adapter = StorageSyncMixin.adapters.indexedDB({
+                    indexedDB: {
+                        open: function (name, version) {
+                            opens++;
+                            if (opens === 1) {
+                                throw(error);
+                            }
+                            return fakeIndexedDB.open(name, version);
+                        }
+                    }
+                });
+
+                // act
+                return adapter.get(syncKey).then(function () {
+                    throw(new Error('Expected the open to fail'));
+                }, function (actual) {
+                    expect(actual).to.equal(error);
+                    return adapter.set(syncKey, 'value');
+                }).then(function () {
+                    return adapter.get(syncKey);
+                }).then(function (value) {
+                    expect(value).to.equal('value');
+                    expect(opens).to.equal(2);
+                });
+            });
+
+            it('should back a mixed-in model', function (done) {
+                var StoredModel = Backbone.Model.extend({
+                    syncStore: adapter,
+                    syncKey: syncKey
+                }).extend(StorageSyncMixin);
+
+                // act
+                new StoredModel({ foo: 'bar' }).save(null, {
+                    success: function () {
+                        var storedModel = new StoredModel();
+                        storedModel.fetch({
+                            success: function () {
+                                expect(storedModel.get('foo')).to.equal('bar');
+                                done();
+                            }
+                        });
+                    }
+                });
+            });
+        });
+    });
+    describe('Versioning', function () {
+        var VersionedModel, syncKey = 'versioned', syncStore;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            VersionedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                migrations: [
+                    // version 0 -> 1: `name` was split into `first` and `last`
+                    function (data) {
+                        var names = data.name.split(' ');
+                        return _.extend(_.omit(data, 'name'), { first: names[0], last: names[1] });
+                    },
+                    // version 1 -> 2: `last` was renamed to `surname`
+                    function (data) {
+                        return _.extend(_.omit(data, 'last'), { surname: data.last });
+                    }
+                ]
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should wrap saved data in an envelope carrying the syncVersion', function (done) {
+            var versionedModel = new VersionedModel({ first: 'Ada' });
+
+            // act
+            versionedModel.save();
+
+            _.defer(function () {
+                var stored = JSON.parse(syncStore[syncKey]);
+                expect(stored.syncVersion).to.equal(2);
+                expect(stored.data.first).to.equal('Ada');
+                done();
+            });
+        });
+
+        it('should unwrap current data on fetch', function (done) {
+            syncStore[syncKey] = JSON.stringify({ syncVersion: 2, data: { id: syncKey, first: 'Ada' } });
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch();
+
+            _.defer(function () {
+                expect(versionedModel.toJSON()).to.deep.equal({ id: syncKey, first: 'Ada' });
+                done();
+            });
+        });
+
+        it('should migrate unversioned data in order', function (done) {
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'Ada Lovelace' });
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch();
+
+            _.defer(function () {
+                expect(versionedModel.toJSON()).to.deep.equal({ id: syncKey, first: 'Ada', surname: 'Lovelace' });
+                done();
+            });
+        });
+
+        it('should migrate data from an intermediate version', function (done) {
+            syncStore[syncKey] = JSON.stringify({ syncVersion: 1, data: { first: 'Ada', last: 'Lovelace' } });
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch();
+
+            _.defer(function () {
+                expect(versionedModel.get('surname')).to.equal('Lovelace');
+                done();
+            });
+        });
+
+        it('should not write migrated data back by default', function (done) {
+            var stored = JSON.stringify({ syncVersion: 1, data: { first: 'Ada', last: 'Lovelace' } });
+            syncStore[syncKey] = stored;
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch();
+
+            _.defer(function () {
+                expect(syncStore[syncKey]).to.equal(stored);
+                done();
+            });
+        });
+
+        it('should write migrated data back if syncWriteMigrations is set', function (done) {
+            syncStore[syncKey] = JSON.stringify({ syncVersion: 1, data: { first: 'Ada', last: 'Lovelace' } });
+            VersionedModel.prototype.syncWriteMigrations = true;
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch();
+
+            _.defer(function () {
+                expect(JSON.parse(syncStore[syncKey])).to.deep.equal({
+                    syncVersion: 2,
+                    data: { first: 'Ada', surname: 'Lovelace' }
+                });
+                done();
+            });
+        });
+
+        it('should reject with a StorageVersionError if there is no migration path', function (done) {
+            syncStore[syncKey] = JSON.stringify({ syncVersion: 3, data: {} });
+            var error = sinon.spy();
+            var versionedModel = new VersionedModel();
+
+            // act
+            var actual = versionedModel.fetch({ error: error });
+
+            _.defer(function () {
+                var versionError = error.firstCall.args[1];
+                expect(versionError).to.be.an.instanceof(StorageSyncMixin.StorageVersionError);
+                expect(versionError).to.be.an.instanceof(Error);
+                expect(versionError.storedVersion).to.equal(3);
+                expect(versionError.version).to.equal(2);
+                expect(actual.state()).to.equal('rejected');
+                done();
+            });
+        });
+
+        it('should reject with a StorageVersionError if a migration is missing', function (done) {
+            syncStore[syncKey] = JSON.stringify({ syncVersion: 0, data: {} });
+            VersionedModel.prototype.syncVersion = 3;
+            var error = sinon.spy();
+            var versionedModel = new VersionedModel();
+
+            // act
+            versionedModel.fetch({ error: error });
+
+            _.defer(function () {
+                expect(error.firstCall.args[1]).to.be.an.instanceof(StorageSyncMixin.StorageVersionError);
+                done();
+            });
+        });
+
+        it('should migrate records in records mode', function (done) {
+            syncStore[syncKey] = JSON.stringify(['a']);
+            syncStore[syncKey + ':a'] = JSON.stringify({ id: 'a', name: 'Ada Lovelace' });
+            var VersionedCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true,
+                migrations: VersionedModel.prototype.migrations
+            }).extend(StorageSyncMixin);
+            var versionedCollection = new VersionedCollection();
+
+            // act
+            versionedCollection.fetch();
+
+            _.defer(function () {
+                expect(versionedCollection.get('a').get('surname')).to.equal('Lovelace');
+                done();
+            });
+        });
+    });
+    describe('Expiry', function () {
+        var ExpiringModel, syncKey = 'expiring', syncStore;
+
+        // Returns a stored envelope that was written `age` milliseconds ago with a time-to-live of `ttl`.
+        function storedEnvelope(data, age, ttl) {
+            return JSON.stringify({ syncVersion: 0, data: data, syncWritten: Date.now() - age, syncTTL: ttl });
+        }
+
+        beforeEach(function () {
+            syncStore = {};
+
+            ExpiringModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncTTL: 60000
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should record the write time and syncTTL', function (done) {
+            var before = Date.now();
+            var expiringModel = new ExpiringModel({ foo: 'bar' });
+
+            // act
+            expiringModel.save();
+
+            _.defer(function () {
+                var stored = JSON.parse(syncStore[syncKey]);
+                expect(stored.data.foo).to.equal('bar');
+                expect(stored.syncTTL).to.equal(60000);
+                expect(stored.syncWritten).to.be.within(before, Date.now());
+                done();
+            });
+        });
+
+        it('should prefer syncTTL from options', function (done) {
+            var expiringModel = new ExpiringModel();
+
+            // act
+            expiringModel.save(null, { syncTTL: 1000 });
+
+            _.defer(function () {
+                expect(JSON.parse(syncStore[syncKey]).syncTTL).to.equal(1000);
+                done();
+            });
+        });
+
+        it('should not wrap data without a syncTTL', function (done) {
+            var expiringModel = new ExpiringModel({ foo: 'bar' });
+
+            // act
+            expiringModel.save(null, { syncTTL: 0 });
+
+            _.defer(function () {
+                expect(JSON.parse(syncStore[syncKey]).foo).to.equal('bar');
+                done();
+            });
+        });
+
+        it('should fetch entries that have not expired', function (done) {
+            syncStore[syncKey] = storedEnvelope({ foo: 'bar' }, 1000, 60000);
+            var expiringModel = new ExpiringModel();
+
+            // act
+            expiringModel.fetch();
+
+            _.defer(function () {
+                expect(expiringModel.get('foo')).to.equal('bar');
+                done();
+            });
+        });
+
+        it('should treat expired entries as missing and purge them', function (done) {
+            syncStore[syncKey] = storedEnvelope({ foo: 'bar' }, 2000, 1000);
+            var error = sinon.spy();
+            var expiringModel = new ExpiringModel();
+
+            // act
+            var actual = expiringModel.fetch({ error: error });
+
+            _.defer(function () {
+                var expiredError = error.firstCall.args[1];
+                expect(expiredError).to.be.an.instanceof(StorageSyncMixin.StorageExpiredError);
+                expect(expiredError).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                expect(actual.state()).to.equal('rejected');
+                expect(syncStore).to.not.have.property(syncKey);
+                expect(expiringModel.has('foo')).to.be.false;
+                done();
+            });
+        });
+
+        it('should skip expired records in records mode', function (done) {
+            syncStore[syncKey] = JSON.stringify(['a', 'b']);
+            syncStore[syncKey + ':a'] = storedEnvelope({ id: 'a' }, 2000, 1000);
+            syncStore[syncKey + ':b'] = storedEnvelope({ id: 'b' }, 0, 1000);
+            var ExpiringCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true
+            }).extend(StorageSyncMixin);
+            var expiringCollection = new ExpiringCollection();
+
+            // act
+            expiringCollection.fetch();
+
+            _.defer(function () {
+                expect(expiringCollection.pluck('id')).to.deep.equal(['b']);
+                expect(syncStore).to.not.have.property(syncKey + ':a');
+                done();
+            });
+        });
+
+        describe('sweepExpired', function () {
+            it('should remove only expired entries written by the mixin', function () {
+                syncStore.expired = storedEnvelope({}, 2000, 1000);
+                syncStore.fresh = storedEnvelope({}, 0, 1000);
+                syncStore.permanent = JSON.stringify({ syncVersion: 1, data: {} });
+                syncStore.foreign = 'not json';
+
+                // act
+                var actual = StorageSyncMixin.sweepExpired(syncStore);
+
+                expect(actual).to.deep.equal(['expired']);
+                expect(_.keys(syncStore).sort()).to.deep.equal(['foreign', 'fresh', 'permanent']);
+            });
+
+            it('should return a promise for asynchronous adapters', function () {
+                var initial = { expired: storedEnvelope({}, 2000, 1000) };
+                var adapter = StorageSyncMixin.adapters.memory(initial);
+
+                // act
+                return StorageSyncMixin.sweepExpired(adapter).then(function (actual) {
+                    expect(actual).to.deep.equal(['expired']);
+                    return adapter.keys();
+                }).then(function (keys) {
+                    expect(keys).to.deep.equal([]);
+                });
+            });
+        });
+    });
+    describe('Live sync', function () {
+        var syncKey = 'live', syncStore;
+
+        beforeEach(function () {
+            global.window = new FakeWindow();
+            syncStore = new FakeStorage();
+        });
+
+        afterEach(function () {
+            delete global.window;
+        });
+
+        describe('Mixed into a Backbone Model', function () {
+            var LiveModel;
+
+            beforeEach(function () {
+                syncStore.setItem(syncKey, JSON.stringify({ id: syncKey, foo: 'bar' }));
+
+                LiveModel = Backbone.Model.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncLive: true
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should start listening on the first sync', function () {
+                var liveModel = new LiveModel();
+                expect(window._listeners).to.have.length(0);
+
+                // act
+                liveModel.fetch();
+
+                expect(window._listeners).to.have.length(1);
+            });
+
+            it('should not listen without syncLive', function () {
+                LiveModel.prototype.syncLive = false;
+                var liveModel = new LiveModel();
+
+                // act
+                liveModel.fetch();
+
+                expect(window._listeners).to.have.length(0);
+            });
+
+            it('should apply values written by another tab through parse and set', function (done) {
+                var liveModel = new LiveModel().startLiveSync();
+                var parse = sinon.spy(liveModel, 'parse');
+                var externalChange = sinon.spy();
+                liveModel.on('storage:external-change', externalChange);
+
+                // act
+                syncStore.setItem(syncKey, JSON.stringify({ id: syncKey, foo: 'changed' }));
+                window.dispatchEvent(storageEvent(syncStore, syncKey, syncStore.getItem(syncKey)));
+
+                _.defer(function () {
+                    expect(liveModel.get('foo')).to.equal('changed');
+                    expect(parse.calledOnce).to.be.true;
+                    expect(externalChange.calledOnce).to.be.true;
+                    expect(externalChange.firstCall.args[1]).to.deep.equal({ id: syncKey, foo: 'changed' });
+                    done();
+                });
+            });
+
+            it('should clear the model when another tab removes its value', function (done) {
+                var liveModel = new LiveModel({ id: syncKey, foo: 'bar' }).startLiveSync();
+
+                // act
+                syncStore.removeItem(syncKey);
+                window.dispatchEvent(storageEvent(syncStore, syncKey, null));
+
+                _.defer(function () {
+                    expect(liveModel.toJSON()).to.deep.equal({});
+                    done();
+                });
+            });
+
+            it('should ignore events for other keys and storage areas', function (done) {
+                var liveModel = new LiveModel().startLiveSync();
+                var externalChange = sinon.spy();
+                liveModel.on('storage:external-change', externalChange);
+
+                // act
+                window.dispatchEvent(storageEvent(syncStore, 'other', 'value'));
+                window.dispatchEvent(storageEvent(new FakeStorage(), syncKey, 'value'));
+
+                _.defer(function () {
+                    expect(externalChange.called).to.be.false;
+                    done();
+                });
+            });
+
+            it('should stop listening when destroyed', function (done) {
+                var liveModel = new LiveModel({ id: syncKey }).startLiveSync();
+
+                // act
+                liveModel.destroy();
+
+                _.defer(function () {
+                    expect(window._listeners).to.have.length(0);
+                    done();
+                });
+            });
+
+            it('should stop listening when disposed with stopListening()', function () {
+                var liveModel = new LiveModel().startLiveSync();
+
+                // act
+                liveModel.stopListening();
+
+                expect(window._listeners).to.have.length(0);
+            });
+
+            it('should call the stopListening that the mixin overrides', function () {
+                var stopListening = sinon.spy(Backbone.Model.prototype, 'stopListening');
+                var BaseModel = Backbone.Model.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    stopListening: function () {
+                        return stopListening.apply(this, arguments);
+                    }
+                });
+                var liveModel = new (BaseModel.extend(StorageSyncMixin))().startLiveSync();
+
+                // act
+                liveModel.stopListening();
+                stopListening.restore();
+
+                expect(stopListening.calledOn(liveModel)).to.be.true;
+                expect(window._listeners).to.have.length(0);
+            });
+
+            it('should stop listening when the mixin is applied at two levels', function () {
+                var SubModel = LiveModel.extend(_.extend({}, StorageSyncMixin, { syncKey: 'sub' }));
+                var liveModel = new SubModel().startLiveSync();
+
+                // act
+                liveModel.stopListening();
+
+                expect(window._listeners).to.have.length(0);
+            });
+        });
+
+        describe('Mixed into a Backbone Collection in records mode', function () {
+            var LiveCollection;
+
+            beforeEach(function () {
+                syncStore.setItem(syncKey, JSON.stringify(['a']));
+                syncStore.setItem(syncKey + ':a', JSON.stringify({ id: 'a' }));
+
+                LiveCollection = Backbone.Collection.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncRecords: true,
+                    syncLive: true
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should set records added by another tab', function (done) {
+                var liveCollection = new LiveCollection().startLiveSync();
+
+                // act
+                syncStore.setItem(syncKey + ':b', JSON.stringify({ id: 'b' }));
+                syncStore.setItem(syncKey, JSON.stringify(['a', 'b']));
+                window.dispatchEvent(storageEvent(syncStore, syncKey, syncStore.getItem(syncKey)));
+
+                _.defer(function () {
+                    expect(liveCollection.pluck('id')).to.deep.equal(['a', 'b']);
+                    done();
+                });
+            });
+
+            it('should reset instead if syncLive is "reset"', function (done) {
+                LiveCollection.prototype.syncLive = 'reset';
+                var liveCollection = new LiveCollection().startLiveSync();
+                var reset = sinon.spy();
+                liveCollection.on('reset', reset);
+
+                // act
+                syncStore.setItem(syncKey + ':a', JSON.stringify({ id: 'a', foo: 'bar' }));
+                window.dispatchEvent(storageEvent(syncStore, syncKey + ':a', syncStore.getItem(syncKey + ':a')));
+
+                _.defer(function () {
+                    expect(reset.calledOnce).to.be.true;
+                    expect(liveCollection.get('a').get('foo')).to.equal('bar');
+                    done();
+                });
+            });
+
+            it('should empty the collection when another tab clears the storage area', function (done) {
+                var liveCollection = new LiveCollection([{ id: 'a' }]).startLiveSync();
+
+                // act
+                syncStore.clear();
+                window.dispatchEvent(storageEvent(syncStore, null, null));
+
+                _.defer(function () {
+                    expect(liveCollection.length).to.equal(0);
+                    done();
+                });
+            });
+        });
+    });
+    describe('Quota handling', function () {
+        var QuotaModel, syncKey = 'quota', syncStore;
+
+        // Returns an envelope written by the mixin `age` milliseconds ago, padded to a length of about 100.
+        function storedEnvelope(age, ttl) {
+            return JSON.stringify({
+                syncVersion: 0,
+                data: { padding: new Array(40).join('x') },
+                syncWritten: Date.now() - age,
+                syncTTL: ttl
+            });
+        }
+
+        beforeEach(function () {
+            syncStore = new QuotaStorage(300);
+
+            QuotaModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should report a full store as a StorageQuotaError', function (done) {
+            var quotaModel = new QuotaModel({ padding: new Array(400).join('x') });
+            var errorEvent = sinon.spy();
+            quotaModel.on('error', errorEvent);
+
+            // act
+            var actual = quotaModel.save(null, {
+                error: function (model, error) {
+                    expect(error).to.be.an.instanceof(StorageSyncMixin.StorageQuotaError);
+                    expect(error.key).to.equal(syncKey);
+                    expect(error.cause.name).to.equal('QuotaExceededError');
+                    _.defer(function () {
+                        expect(actual.state()).to.equal('rejected');
+                        expect(errorEvent.calledOnce).to.be.true;
+                        done();
+                    });
+                }
+            });
+        });
+
+        it('should not evict anything without syncEviction', function (done) {
+            syncStore.setItem('expired', storedEnvelope(2000, 1000));
+            var quotaModel = new QuotaModel({ padding: new Array(200).join('x') });
+
+            // act
+            quotaModel.save(null, {
+                error: function () {
+                    expect(syncStore.getItem('expired')).to.not.be.null;
+                    done();
+                }
+            });
+        });
+
+        describe('with syncEviction "expired"', function () {
+            beforeEach(function () {
+                QuotaModel.prototype.syncEviction = 'expired';
+            });
+
+            it('should evict expired entries and retry the write', function (done) {
+                syncStore.setItem('expired', storedEnvelope(2000, 1000));
+                syncStore.setItem('fresh', storedEnvelope(0, 60000));
+                var quotaModel = new QuotaModel({ padding: new Array(60).join('x') });
+
+                // act
+                quotaModel.save(null, {
+                    success: function () {
+                        expect(syncStore.getItem('expired')).to.be.null;
+                        expect(syncStore.getItem('fresh')).to.not.be.null;
+                        expect(JSON.parse(syncStore.getItem(syncKey)).data.padding).to.have.length(59);
+                        done();
+                    }
+                });
+            });
+
+            it('should fail with a StorageQuotaError if nothing has expired', function (done) {
+                syncStore.setItem('fresh', storedEnvelope(0, 60000));
+                var quotaModel = new QuotaModel({ padding: new Array(200).join('x') });
+
+                // act
+                quotaModel.save(null, {
+                    error: function (model, error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageQuotaError);
+                        expect(syncStore.getItem('fresh')).to.not.be.null;
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('with syncEviction "lru"', function () {
+            beforeEach(function () {
+                QuotaModel.prototype.syncEviction = 'lru';
+            });
+
+            it('should evict the least recently used entries until the write succeeds', function (done) {
+                syncStore.setItem('older', storedEnvelope(2000));
+                syncStore.setItem('newer', storedEnvelope(1000));
+                var quotaModel = new QuotaModel({ padding: new Array(60).join('x') });
+
+                // act
+                quotaModel.save(null, {
+                    success: function () {
+                        expect(syncStore.getItem('older')).to.be.null;
+                        expect(syncStore.getItem('newer')).to.not.be.null;
+                        done();
+                    }
+                });
+            });
+
+            it('should never evict values not written by the mixin', function (done) {
+                syncStore.setItem('foreign', new Array(150).join('x'));
+                var quotaModel = new QuotaModel({ padding: new Array(200).join('x') });
+
+                // act
+                quotaModel.save(null, {
+                    error: function (model, error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageQuotaError);
+                        expect(syncStore.getItem('foreign')).to.not.be.null;
+                        done();
+                    }
+                });
+            });
+
+            it('should record the write time so that its own entries can be evicted', function (done) {
+                var quotaModel = new QuotaModel({ foo: 'bar' });
+
+                // act
+                quotaModel.save(null, {
+                    success: function () {
+                        expect(JSON.parse(syncStore.getItem(syncKey)).syncWritten).to.be.a('number');
+                        done();
+                    }
+                });
+            });
+        });
+    });
+    describe('Serializers', function () {
+        var serializers = StorageSyncMixin.serializers;
+
+        describe('typedJson', function () {
+            it('should round-trip Dates, Maps, Sets, RegExps, BigInts and non-finite numbers', function () {
+                var serializer = serializers.typedJson();
+                var value = {
+                    date: new Date(Date.UTC(2015, 9, 1)),
+                    map: new Map([['key', { nested: new Date(0) }]]),
+                    set: new Set([1, 2]),
+                    regExp: /a+b/gi,
+                    bigInt: BigInt('9007199254740993'),
+                    notANumber: NaN,
+                    infinity: -Infinity
+                };
+
+                // act
+                var actual = serializer.deserialize(serializer.serialize(value));
+
+                expect(actual.date).to.be.an.instanceof(Date);
+                expect(actual.date.getTime()).to.equal(value.date.getTime());
+                expect(actual.map.get('key').nested.getTime()).to.equal(0);
+                expect(actual.set.has(2)).to.be.true;
+                expect(actual.regExp.toString()).to.equal('/a+b/gi');
+                expect(actual.bigInt === value.bigInt).to.be.true;
+                expect(actual.notANumber).to.be.NaN;
+                expect(actual.infinity).to.equal(-Infinity);
+            });
+
+            it('should not mistake objects with a "$type" property for typed values', function () {
+                var serializer = serializers.typedJson();
+                var value = { $type: 'Date', value: 0 };
+
+                // act
+                var actual = serializer.deserialize(serializer.serialize(value));
+
+                expect(actual).to.deep.equal(value);
+            });
+        });
+
+        describe('compressed', function () {
+            it('should round-trip strings', function () {
+                var serializer = serializers.compressed();
+                var value = { text: 'compressed ünïcödé ☃ 😀', list: _.range(500) };
+
+                // act
+                var actual = serializer.deserialize(serializer.serialize(value));
+
+                expect(actual).to.deep.equal(value);
+            });
+
+            it('should shrink repetitive data', function () {
+                var serializer = serializers.compressed();
+                var value = _.times(200, function (i) { return { id: i, name: 'model', saved: true }; });
+
+                // act
+                var actual = serializer.serialize(value);
+
+                expect(actual.length).to.be.below(JSON.stringify(value).length / 2);
+            });
+
+            it('should only write characters that are safe to store', function () {
+                var serializer = serializers.compressed();
+
+                // act
+                var actual = serializer.serialize(_.times(2000, function () { return Math.random(); }));
+
+                expect(/[\u0000-\u001f\ud800-\udfff]/.test(actual)).to.be.false;
+            });
+
+            it('should compress the output of a base serializer', function () {
+                var serializer = serializers.compressed(serializers.typedJson());
+
+                // act
+                var actual = serializer.deserialize(serializer.serialize({ date: new Date(0) }));
+
+                expect(actual.date).to.be.an.instanceof(Date);
+            });
+        });
+
+        describe('Mixed into a Backbone Model', function () {
+            var syncKey = 'serialized', syncStore, SerializedModel;
+
+            beforeEach(function () {
+                syncStore = {};
+
+                SerializedModel = Backbone.Model.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncSerializer: serializers.typedJson()
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should write with syncSerializer and tag the value with its name', function (done) {
+                var serializedModel = new SerializedModel({ date: new Date(0) });
+
+                // act
+                serializedModel.save();
+
+                _.defer(function () {
+                    expect(syncStore[syncKey].indexOf('@typed-json:')).to.equal(0);
+                    done();
+                });
+            });
+
+            it('should revive Dates on fetch', function (done) {
+                new SerializedModel({ date: new Date(0) }).save();
+
+                _.defer(function () {
+                    var serializedModel = new SerializedModel();
+
+                    // act
+                    serializedModel.fetch();
+
+                    _.defer(function () {
+                        expect(serializedModel.get('date')).to.be.an.instanceof(Date);
+                        done();
+                    });
+                });
+            });
+
+            it('should recognise which serializer wrote a value', function (done) {
+                var CompressedModel = SerializedModel.extend({ syncSerializer: serializers.compressed() });
+                new CompressedModel({ foo: 'compressed' }).save();
+
+                _.defer(function () {
+                    var serializedModel = new SerializedModel();
+
+                    // act
+                    serializedModel.fetch();
+
+                    _.defer(function () {
+                        expect(syncStore[syncKey].indexOf('@lz:')).to.equal(0);
+                        expect(serializedModel.get('foo')).to.equal('compressed');
+                        done();
+                    });
+                });
+            });
+
+            it('should read untagged JSON', function (done) {
+                syncStore[syncKey] = JSON.stringify({ foo: 'json' });
+                var serializedModel = new SerializedModel();
+
+                // act
+                serializedModel.fetch();
+
+                _.defer(function () {
+                    expect(serializedModel.get('foo')).to.equal('json');
+                    done();
+                });
+            });
+
+            it('should wrap the envelope with syncSerializer', function (done) {
+                SerializedModel.prototype.syncTTL = 60000;
+                var serializedModel = new SerializedModel({ date: new Date(0) });
+
+                // act
+                serializedModel.save();
+
+                _.defer(function () {
+                    var stored = serializers.typedJson().deserialize(syncStore[syncKey].slice('@typed-json:'.length));
+                    expect(stored.syncTTL).to.equal(60000);
+                    expect(stored.data.date).to.be.an.instanceof(Date);
+                    done();
+                });
+            });
+        });
+    });
+    describe('Encryption', function () {
+        var syncKey = 'encrypted', syncStore, EncryptedModel, key;
+
+        beforeEach(function () {
+            syncStore = {};
+            key = crypto.randomBytes(32);
+
+            EncryptedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncEncryption: {
+                    key: function () { return key; },
+                    cipher: StorageSyncMixin.ciphers.node(crypto)
+                }
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should not store plaintext', function (done) {
+            var encryptedModel = new EncryptedModel({ token: 'secret' });
+
+            // act
+            encryptedModel.save(null, {
+                success: function () {
+                    expect(syncStore[syncKey].indexOf('@aes-gcm:')).to.equal(0);
+                    expect(syncStore[syncKey]).to.not.contain('secret');
+                    done();
+                }
+            });
+        });
+
+        it('should decrypt on fetch', function (done) {
+            new EncryptedModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    var encryptedModel = new EncryptedModel();
+
+                    // act
+                    encryptedModel.fetch({
+                        success: function () {
+                            expect(encryptedModel.get('token')).to.equal('secret');
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should accept key providers that return promises', function (done) {
+            EncryptedModel.prototype.syncEncryption.key = function () { return Promise.resolve(key); };
+
+            new EncryptedModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    var encryptedModel = new EncryptedModel();
+
+                    // act
+                    encryptedModel.fetch({
+                        success: function () {
+                            expect(encryptedModel.get('token')).to.equal('secret');
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should read data written with the Web Crypto cipher', function (done) {
+            if (!crypto.webcrypto) {
+                return this.skip();
+            }
+
+            var WebCryptoModel = EncryptedModel.extend({
+                syncEncryption: {
+                    key: function () { return key; },
+                    cipher: StorageSyncMixin.ciphers.webCrypto(crypto.webcrypto)
+                }
+            });
+
+            new WebCryptoModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    var encryptedModel = new EncryptedModel();
+
+                    // act
+                    encryptedModel.fetch({
+                        success: function () {
+                            expect(encryptedModel.get('token')).to.equal('secret');
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should reject with a StorageIntegrityError if the key is wrong', function (done) {
+            new EncryptedModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    key = crypto.randomBytes(32);
+                    var encryptedModel = new EncryptedModel();
+
+                    // act
+                    var actual = encryptedModel.fetch({
+                        error: function (model, error) {
+                            expect(error).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+                            expect(error.key).to.equal(syncKey);
+                            _.defer(function () {
+                                expect(actual.state()).to.equal('rejected');
+                                done();
+                            });
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should reject with a StorageIntegrityError if the ciphertext was tampered with', function (done) {
+            new EncryptedModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    // change one character of the base64 ciphertext
+                    var stored = syncStore[syncKey], i = stored.length - 3;
+                    syncStore[syncKey] = stored.slice(0, i) + (stored[i] === 'A' ? 'B' : 'A') + stored.slice(i + 1);
+                    var encryptedModel = new EncryptedModel();
+
+                    // act
+                    encryptedModel.fetch({
+                        error: function (model, error) {
+                            expect(error).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should reject with a StorageIntegrityError if read without syncEncryption', function (done) {
+            new EncryptedModel({ token: 'secret' }).save(null, {
+                success: function () {
+                    var PlainModel = EncryptedModel.extend({ syncEncryption: null });
+                    var plainModel = new PlainModel();
+
+                    // act
+                    plainModel.fetch({
+                        error: function (model, error) {
+                            expect(error).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should reject with a StorageIntegrityError if the data is not encrypted', function (done) {
+            syncStore[syncKey] = JSON.stringify({ token: 'attacker' });
+            var encryptedModel = new EncryptedModel();
+
+            // act
+            encryptedModel.fetch({
+                error: function (model, error) {
+                    expect(error).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+                    expect(encryptedModel.has('token')).to.be.false;
+                    done();
+                }
+            });
+        });
+
+        it('should read unencrypted data with allowPlaintext', function (done) {
+            EncryptedModel.prototype.syncEncryption.allowPlaintext = true;
+            syncStore[syncKey] = JSON.stringify({ token: 'plain' });
+            var encryptedModel = new EncryptedModel();
+
+            // act
+            encryptedModel.fetch({
+                success: function () {
+                    expect(encryptedModel.get('token')).to.equal('plain');
+                    done();
+                }
+            });
+        });
+    });
+    describe('Namespaces', function () {
+        var namespace, syncStore, NamespacedModel, NamespacedCollection;
+
+        beforeEach(function () {
+            // The registry lasts for the session, so each test uses a namespace of its own.
+            namespace = _.uniqueId('app');
+            syncStore = new FakeStorage();
+            syncStore.setItem('unrelated', 'data');
+            syncStore.setItem('other:user', 'data');
+
+            NamespacedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: 'user',
+                syncNamespace: function () { return namespace; }
+            }).extend(StorageSyncMixin);
+
+            NamespacedCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: 'todos',
+                syncNamespace: function () { return namespace; },
+                syncRecords: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should prefix keys with syncNamespace', function (done) {
+            var namespacedModel = new NamespacedModel({ foo: 'bar' });
+
+            // act
+            namespacedModel.save();
+
+            _.defer(function () {
+                expect(JSON.parse(syncStore.getItem(namespace + ':user')).foo).to.equal('bar');
+                expect(syncStore.getItem('user')).to.be.null;
+                expect(namespacedModel.id).to.equal('user');
+                done();
+            });
+        });
+
+        it('should prefix record keys with syncNamespace', function (done) {
+            var namespacedCollection = new NamespacedCollection();
+
+            // act
+            namespacedCollection.create({ id: 'a' });
+
+            _.defer(function () {
+                expect(syncStore.getItem(namespace + ':todos')).to.equal(JSON.stringify(['a']));
+                expect(syncStore.getItem(namespace + ':todos:a')).to.not.be.null;
+                done();
+            });
+        });
+
+        describe('registry', function () {
+            beforeEach(function (done) {
+                new NamespacedModel().save();
+                new NamespacedCollection().create({ id: 'a' });
+                _.defer(done);
+            });
+
+            it('should list the keys in a namespace', function () {
+                // act
+                var actual = StorageSyncMixin.keys(namespace);
+
+                expect(actual.sort())
+                    .to.deep.equal([namespace + ':todos', namespace + ':todos:a', namespace + ':user']);
+            });
+
+            it('should count the keys in a namespace', function () {
+                // act
+                var actual = StorageSyncMixin.size(namespace);
+
+                expect(actual).to.equal(3);
+            });
+
+            it('should clear only the keys in a namespace', function () {
+                // act
+                var actual = StorageSyncMixin.clear(namespace);
+
+                expect(actual.sort())
+                    .to.deep.equal([namespace + ':todos', namespace + ':todos:a', namespace + ':user']);
+                expect(syncStore.getItem('unrelated')).to.equal('data');
+                expect(syncStore.getItem('other:user')).to.equal('data');
+                expect(StorageSyncMixin.size(namespace)).to.equal(0);
+            });
+
+            it('should use a store that is passed in', function () {
+                var otherStore = { 'app:one': '1', 'app:two': '2', one: '1' };
+
+                // act
+                var actual = StorageSyncMixin.clear('app', otherStore);
+
+                expect(actual).to.deep.equal(['app:one', 'app:two']);
+                expect(otherStore).to.deep.equal({ one: '1' });
+            });
+
+            it('should return promises for asynchronous adapters', function () {
+                var adapter = StorageSyncMixin.adapters.memory({ 'app:one': '1', two: '2' });
+
+                // act
+                return StorageSyncMixin.keys('app', adapter).then(function (actual) {
+                    expect(actual).to.deep.equal(['app:one']);
+                });
+            });
+
+            it('should throw ReferenceError if namespace is not defined', function () {
+                expect(function () {
+                    // act
+                    StorageSyncMixin.clear();
+                }).to.throw(ReferenceError);
+            });
+
+            it('should throw ReferenceError if no store is given or registered for the namespace', function () {
+                var namespace = _.uniqueId('reloaded'), store = {};
+                store[namespace + ':a'] = '1';
+                store[namespace + ':b'] = '2';
+
+                expect(function () {
+                    // act
+                    StorageSyncMixin.clear(namespace);
+                }).to.throw(ReferenceError);
+                expect(_.keys(store)).to.have.length(2);
+            });
+
+            it('should clear a namespace in a store given after a reload', function () {
+                var namespace = _.uniqueId('reloaded'), store = {};
+                store[namespace + ':a'] = '1';
+                store[namespace + ':b'] = '2';
+
+                // act
+                var actual = StorageSyncMixin.clear(namespace, store);
+
+                expect(actual).to.deep.equal([namespace + ':a', namespace + ':b']);
+                expect(store).to.deep.equal({});
+            });
+        });
+    });
+    describe('Write-through', function () {
+        var syncKey = 'outboxed', syncStore, ajax, requests, respond, WriteThroughCollection;
+
+        beforeEach(function () {
+            syncStore = {};
+            requests = [];
+            respond = function (params) { params.success({ saved: true }); };
+
+            ajax = Backbone.ajax;
+            Backbone.ajax = function (params) {
+                requests.push(params);
+                respond(params);
+            };
+
+            WriteThroughCollection = Backbone.Collection.extend({
+                url: '/todos',
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true,
+                syncWriteThrough: true
+            }).extend(StorageSyncMixin);
+        });
+
+        afterEach(function () {
+            Backbone.ajax = ajax;
+        });
+
+        // Returns the entries in the outbox of `syncStore`.
+        function outboxEntries() {
+            return StorageSyncMixin.outbox(syncStore).entries();
+        }
+
+        it('should write to syncStore and record the operation in the outbox', function (done) {
+            var collection = new WriteThroughCollection();
+
+            // act
+            var model = collection.create({ title: 'first' }, {
+                success: function () {
+                    expect(JSON.parse(syncStore[syncKey + ':' + model.id]).title).to.equal('first');
+                    expect(requests).to.have.length(0);
+
+                    var entries = outboxEntries();
+                    expect(entries).to.have.length(1);
+                    expect(entries[0]).to.include({ method: 'create', key: syncKey + ':' + model.id, url: '/todos' });
+                    expect(entries[0].payload).to.deep.equal({ id: model.id, title: 'first' });
+                    done();
+                }
+            });
+        });
+
+        it('should not record reads', function (done) {
+            var collection = new WriteThroughCollection();
+
+            // act
+            collection.fetch({
+                success: function () {
+                    expect(outboxEntries()).to.have.length(0);
+                    done();
+                }
+            });
+        });
+
+        it('should replay the outbox in order against Backbone.sync on flush()', function (done) {
+            var collection = new WriteThroughCollection();
+            var model = collection.create({ title: 'first' }, { wait: true });
+
+            model.once('sync', function () {
+                model.save({ title: 'second' }, {
+                    success: function () {
+                        model.destroy({
+                            success: function () {
+                                var url = '/todos/' + model.id;
+
+                                // act
+                                collection.flushOutbox().then(function () {
+                                    expect(_.pluck(requests, 'type')).to.deep.equal(['POST', 'PUT', 'DELETE']);
+                                    expect(_.pluck(requests, 'url')).to.deep.equal(['/todos', url, url]);
+                                    expect(JSON.parse(requests[1].data).title).to.equal('second');
+                                    expect(outboxEntries()).to.have.length(0);
+                                    done();
+                                }).catch(done);
+                            }
+                        });
+                    }
+                });
+            });
+        });
+
+        it('should replay patches with only the patched attributes', function (done) {
+            var collection = new WriteThroughCollection([{ id: 'a', title: 'first', done: false }]);
+
+            collection.get('a').save({ done: true }, {
+                patch: true,
+                success: function () {
+                    // act
+                    collection.flushOutbox().then(function () {
+                        expect(requests[0].type).to.equal('PATCH');
+                        expect(JSON.parse(requests[0].data)).to.deep.equal({ done: true });
+                        done();
+                    }).catch(done);
+                }
+            });
+        });
+
+        it('should use syncRemote if it is defined', function (done) {
+            var syncRemote = sinon.spy(function (method, model, options) { options.success(); });
+            WriteThroughCollection.prototype.syncRemote = syncRemote;
+            var collection = new WriteThroughCollection();
+
+            collection.create({}, {
+                success: function () {
+                    // act
+                    collection.flushOutbox().then(function () {
+                        expect(syncRemote.calledOnce).to.be.true;
+                        expect(syncRemote.firstCall.args[0]).to.equal('create');
+                        expect(requests).to.have.length(0);
+                        done();
+                    }).catch(done);
+                }
+            });
+        });
+
+        it('should replay the entries of each instance with its own syncRemote', function (done) {
+            var replayed = [];
+            var remote = function (name) {
+                return function (method, model, options) {
+                    replayed.push(name + ':' + options.url);
+                    options.success();
+                };
+            };
+            var first = new (WriteThroughCollection.extend({ url: '/a', syncKey: 'a', syncRemote: remote('A') }))();
+            var second = new (WriteThroughCollection.extend({ url: '/b', syncKey: 'b', syncRemote: remote('B') }))();
+
+            first.create({}, {
+                success: function () {
+                    second.create({}, {
+                        success: function () {
+                            // act
+                            first.flushOutbox().then(function () {
+                                expect(replayed).to.deep.equal(['A:/a', 'B:/b']);
+                                done();
+                            }).catch(done);
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should keep entries until an instance with their key uses the outbox', function (done) {
+            var collection = new WriteThroughCollection();
+            var outbox = StorageSyncMixin.outbox(syncStore);
+
+            outbox.push('create', 'other:1', '/other', { title: 'other' });
+            collection.create({ title: 'mine' }, {
+                success: function () {
+                    // act
+                    collection.flushOutbox().then(function () {
+                        expect(requests).to.have.length(1);
+                        expect(_.pluck(outboxEntries(), 'key')).to.deep.equal(['other:1']);
+                        done();
+                    }).catch(done);
+                }
+            });
+        });
+
+        it('should trigger "outbox:success" on the outbox and the instance', function (done) {
+            var collection = new WriteThroughCollection();
+            var outboxSuccess = sinon.spy();
+            var instanceSuccess = sinon.spy();
+            StorageSyncMixin.outbox(syncStore).on('outbox:success', outboxSuccess);
+            collection.on('outbox:success', instanceSuccess);
+
+            collection.create({}, {
+                success: function () {
+                    // act
+                    collection.flushOutbox().then(function () {
+                        expect(outboxSuccess.calledOnce).to.be.true;
+                        expect(outboxSuccess.firstCall.args[0].method).to.equal('create');
+                        expect(outboxSuccess.firstCall.args[1]).to.deep.equal({ saved: true });
+                        expect(instanceSuccess.calledOnce).to.be.true;
+                        done();
+                    }).catch(done);
+                }
+            });
+        });
+
+        describe('when the remote sync fails', function () {
+            var outbox;
+
+            beforeEach(function () {
+                outbox = StorageSyncMixin.outbox(syncStore);
+                outbox.retryDelay = 10000;
+                respond = function (params) { params.error({ status: 503 }); };
+            });
+
+            it('should keep the entry, back off and trigger "outbox:error"', function (done) {
+                var collection = new WriteThroughCollection();
+                var outboxError = sinon.spy();
+                collection.on('outbox:error', outboxError);
+
+                collection.create({}, {
+                    success: function () {
+                        var before = Date.now();
+
+                        // act
+                        collection.flushOutbox().then(function () {
+                            var entries = outboxEntries();
+                            expect(entries).to.have.length(1);
+                            expect(entries[0].attempts).to.equal(1);
+                            expect(entries[0].retryAt).to.be.at.least(before + 10000);
+                            expect(outboxError.calledOnce).to.be.true;
+                            expect(outboxError.firstCall.args[1]).to.deep.equal({ status: 503 });
+                            expect(outboxError.firstCall.args[2]).to.be.true;
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+
+            it('should not retry entries before they are due', function (done) {
+                var collection = new WriteThroughCollection();
+
+                collection.create({}, {
+                    success: function () {
+                        collection.flushOutbox().then(function () {
+                            // act
+                            return collection.flushOutbox();
+                        }).then(function () {
+                            expect(requests).to.have.length(1);
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+
+            it('should hold back later entries for the same key but not for other keys', function (done) {
+                var collection = new WriteThroughCollection();
+                var first = new Backbone.Model({ id: 'a', title: 'a' });
+                var second = new Backbone.Model({ id: 'b', title: 'b' });
+                collection.add([first, second]);
+                respond = function (params) {
+                    if (JSON.parse(params.data).title === 'a') {
+                        params.error({ status: 503 });
+                    }
+                    else {
+                        params.success({});
+                    }
+                };
+
+                first.save();
+                second.save();
+                first.save({ done: true }, {
+                    success: function () {
+                        // act
+                        collection.flushOutbox().then(function () {
+                            expect(_.pluck(requests, 'url')).to.deep.equal(['/todos/a', '/todos/b']);
+                            expect(_.pluck(outboxEntries(), 'key')).to.deep.equal([syncKey + ':a', syncKey + ':a']);
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+
+            it('should drop entries after maxAttempts', function (done) {
+                outbox.maxAttempts = 1;
+                var collection = new WriteThroughCollection();
+                var outboxError = sinon.spy();
+                collection.on('outbox:error', outboxError);
+
+                collection.create({}, {
+                    success: function () {
+                        // act
+                        collection.flushOutbox().then(function () {
+                            expect(outboxEntries()).to.have.length(0);
+                            expect(outboxError.firstCall.args[2]).to.be.false;
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+
+            it('should report failures of flushes when the browser comes back online', function (done) {
+                var fakeWindow = global.window = new FakeWindow();
+                var adapter = _.extend(StorageSyncMixin.adapters.object({}), {
+                    remove: function () { throw new Error('remove fails'); }
+                });
+                var backgroundOutbox = StorageSyncMixin.outbox(adapter);
+                delete global.window;
+                backgroundOutbox.register('key', {
+                    remoteSync: function (method, model, options) { options.success({}); }
+                });
+                backgroundOutbox.push('create', 'key', '/todos', {});
+                backgroundOutbox.on('outbox:error', function (entry, error, willRetry) {
+                    expect(entry).to.be.null;
+                    expect(error.message).to.equal('remove fails');
+                    expect(willRetry).to.be.false;
+                    done();
+                });
+
+                // act
+                fakeWindow.dispatchEvent({ type: 'online' });
+            });
+        });
+
+        describe('Mixed into a Backbone Model', function () {
+            it('should replay creates without the syncKey id', function (done) {
+                var WriteThroughModel = Backbone.Model.extend({
+                    urlRoot: '/users',
+                    syncStore: syncStore,
+                    syncKey: 'user',
+                    syncWriteThrough: true
+                }).extend(StorageSyncMixin);
+                var model = new WriteThroughModel({ name: 'Ada' });
+
+                model.save(null, {
+                    success: function () {
+                        // act
+                        model.flushOutbox().then(function () {
+                            expect(requests[0].url).to.equal('/users');
+                            expect(JSON.parse(requests[0].data)).to.deep.equal({ name: 'Ada' });
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+
+            it('should encrypt the payloads in the outbox with syncEncryption', function (done) {
+                var key = crypto.randomBytes(32);
+                var EncryptedModel = Backbone.Model.extend({
+                    urlRoot: '/users',
+                    syncStore: syncStore,
+                    syncKey: 'user',
+                    syncWriteThrough: true,
+                    syncEncryption: {
+                        key: function () { return key; },
+                        cipher: StorageSyncMixin.ciphers.node(crypto)
+                    }
+                }).extend(StorageSyncMixin);
+                var model = new EncryptedModel({ token: 'SECRET-TOKEN' });
+
+                // act
+                model.save(null, {
+                    success: function () {
+                        var entry = JSON.parse(syncStore['backbone-storage-sync:outbox'])[0];
+                        expect(entry.encrypted).to.be.true;
+                        expect(entry.payload.indexOf('@aes-gcm:')).to.equal(0);
+                        expect(entry.payload).to.not.contain('SECRET-TOKEN');
+
+                        model.flushOutbox().then(function () {
+                            expect(JSON.parse(requests[0].data)).to.deep.equal({ token: 'SECRET-TOKEN' });
+                            done();
+                        }).catch(done);
+                    }
+                });
+            });
+        });
+    });
+    describe('Read strategies', function () {
+        var syncKey = 'strategic', syncStore, ajax, requests, respond, StrategyModel;
+
+        beforeEach(function () {
+            syncStore = {};
+            requests = [];
+            respond = function (params) { params.success({ name: 'network' }); };
+
+            ajax = Backbone.ajax;
+            Backbone.ajax = function (params) {
+                requests.push(params);
+                respond(params);
+            };
+
+            StrategyModel = Backbone.Model.extend({
+                url: '/profile',
+                syncStore: syncStore,
+                syncKey: syncKey
+            }).extend(StorageSyncMixin);
+        });
+
+        afterEach(function () {
+            Backbone.ajax = ajax;
+        });
+
+        it('should only read the object store by default', function (done) {
+            syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+            var model = new StrategyModel();
+
+            // act
+            model.fetch({
+                success: function () {
+                    expect(model.get('name')).to.equal('cache');
+                    expect(requests).to.have.length(0);
+                    done();
+                }
+            });
+        });
+
+        it('should throw if "syncStrategy" is unknown', function () {
+            var model = new StrategyModel();
+
+            // act
+            var fetch = function () { model.fetch({ syncStrategy: 'cache-later' }); };
+
+            expect(fetch).to.throw(TypeError);
+        });
+
+        it('should read the network and store the response with "network-only"', function (done) {
+            syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+            var model = new StrategyModel();
+
+            // act
+            model.fetch({
+                syncStrategy: 'network-only',
+                success: function (model, response, options) {
+                    expect(requests).to.have.length(1);
+                    expect(requests[0].url).to.equal('/profile');
+                    expect(model.get('name')).to.equal('network');
+                    expect(options.syncPhase).to.equal('network');
+                    expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ name: 'network' });
+                    done();
+                }
+            });
+        });
+
+        it('should use "syncStrategy" on the instance', function (done) {
+            StrategyModel.prototype.syncStrategy = 'network-only';
+            var model = new StrategyModel();
+
+            // act
+            model.fetch({
+                success: function () {
+                    expect(requests).to.have.length(1);
+                    done();
+                }
+            });
+        });
+
+        it('should use syncRemote for the network if it is defined', function (done) {
+            var syncRemote = sinon.spy(function (method, model, options) { options.success({ name: 'remote' }); });
+            StrategyModel.prototype.syncRemote = syncRemote;
+            var model = new StrategyModel();
+
+            // act
+            model.fetch({
+                syncStrategy: 'network-only',
+                success: function () {
+                    expect(syncRemote.calledWith('read', model)).to.be.true;
+                    expect(model.get('name')).to.equal('remote');
+                    expect(requests).to.have.length(0);
+                    done();
+                }
+            });
+        });
+
+        it('should fail with the network error with "network-only"', function (done) {
+            respond = function (params) { params.error({ status: 500 }); };
+            var model = new StrategyModel();
+
+            // act
+            model.fetch({
+                syncStrategy: 'network-only',
+                error: function (model, response) {
+                    expect(response).to.deep.equal({ status: 500 });
+                    expect(syncStore).to.be.empty;
+                    done();
+                }
+            });
+        });
+
+        describe('"cache-first"', function () {
+            it('should not read the network when data is stored', function (done) {
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'cache-first',
+                    success: function (model, response, options) {
+                        expect(model.get('name')).to.equal('cache');
+                        expect(options.syncPhase).to.equal('cache');
+                        expect(requests).to.have.length(0);
+                        done();
+                    }
+                });
+            });
+
+            it('should read the network when nothing is stored', function (done) {
+                var model = new StrategyModel();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'cache-first',
+                    success: function (model, response, options) {
+                        expect(model.get('name')).to.equal('network');
+                        expect(options.syncPhase).to.equal('network');
+                        expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ name: 'network' });
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('"network-first"', function () {
+            it('should not read the object store when the network succeeds', function (done) {
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'network-first',
+                    success: function () {
+                        expect(model.get('name')).to.equal('network');
+                        done();
+                    }
+                });
+            });
+
+            it('should read the object store when the network fails', function (done) {
+                respond = function (params) { params.error({ status: 0 }); };
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'network-first',
+                    success: function (model, response, options) {
+                        expect(model.get('name')).to.equal('cache');
+                        expect(options.syncPhase).to.equal('cache');
+                        done();
+                    }
+                });
+            });
+
+            it('should fail with the network error when nothing is stored either', function (done) {
+                respond = function (params) { params.error({ status: 0 }); };
+                var model = new StrategyModel();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'network-first',
+                    error: function (model, response) {
+                        expect(response).to.deep.equal({ status: 0 });
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('"stale-while-revalidate"', function () {
+            it('should set the instance from the object store and then from the network', function (done) {
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+                var phases = [];
+                model.on('sync:cache', function (model, json) {
+                    phases.push('cache');
+                    expect(json).to.deep.equal({ name: 'cache' });
+                    expect(model.get('name')).to.equal('cache');
+                });
+                model.on('sync:network', function (model, json) {
+                    phases.push('network');
+                    expect(json).to.deep.equal({ name: 'network' });
+                    expect(model.get('name')).to.equal('network');
+                    expect(phases).to.deep.equal(['cache', 'network']);
+                    expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ name: 'network' });
+                    done();
+                });
+
+                // act
+                model.fetch({ syncStrategy: 'stale-while-revalidate' });
+            });
+
+            it('should resolve the deferred once the cached data is set', function (done) {
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+
+                // act
+                var deferred = model.fetch({ syncStrategy: 'stale-while-revalidate' });
+
+                model.on('sync:cache', function () {
+                    expect(requests).to.have.length(0);
+                    expect(deferred.state()).to.equal('resolved');
+                    done();
+                });
+            });
+
+            it('should only read the network when nothing is stored', function (done) {
+                var model = new StrategyModel();
+                var cacheSync = sinon.spy();
+                model.on('sync:cache', cacheSync);
+
+                // act
+                model.fetch({
+                    syncStrategy: 'stale-while-revalidate',
+                    success: function () {
+                        expect(cacheSync.called).to.be.false;
+                        expect(model.get('name')).to.equal('network');
+                        done();
+                    }
+                });
+            });
+
+            it('should call error when revalidating fails', function (done) {
+                respond = function (params) { params.error({ status: 500 }); };
+                syncStore[syncKey] = JSON.stringify({ name: 'cache' });
+                var model = new StrategyModel();
+                var success = sinon.spy();
+
+                // act
+                model.fetch({
+                    syncStrategy: 'stale-while-revalidate',
+                    success: success,
+                    error: function (model, response, options) {
+                        expect(success.calledOnce).to.be.true;
+                        expect(options.syncPhase).to.equal('network');
+                        expect(model.get('name')).to.equal('cache');
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('Mixed into a Backbone Collection in records mode', function () {
+            var StrategyCollection;
+
+            beforeEach(function () {
+                StrategyCollection = Backbone.Collection.extend({
+                    url: '/todos',
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncRecords: true
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should store each record of the network response', function (done) {
+                syncStore[syncKey] = JSON.stringify(['old']);
+                syncStore[syncKey + ':old'] = JSON.stringify({ id: 'old' });
+                respond = function (params) { params.success([{ id: 'a', title: 'A' }, { id: 'b', title: 'B' }]); };
+                var collection = new StrategyCollection();
+
+                // act
+                collection.fetch({
+                    syncStrategy: 'network-only',
+                    success: function () {
+                        expect(collection.pluck('title')).to.deep.equal(['A', 'B']);
+                        expect(JSON.parse(syncStore[syncKey])).to.deep.equal(['a', 'b']);
+                        expect(JSON.parse(syncStore[syncKey + ':b'])).to.deep.equal({ id: 'b', title: 'B' });
+                        expect(syncStore).to.not.have.property(syncKey + ':old');
+                        done();
+                    }
+                });
+            });
+
+            it('should treat an empty index as stored with "cache-first"', function (done) {
+                syncStore[syncKey] = JSON.stringify([]);
+                var collection = new StrategyCollection();
+
+                // act
+                collection.fetch({
+                    syncStrategy: 'cache-first',
+                    success: function () {
+                        expect(requests).to.have.length(0);
+                        done();
+                    }
+                });
+            });
+
+            it('should read the network with "cache-first" when there is no index', function (done) {
+                respond = function (params) { params.success([{ id: 'a' }]); };
+                var collection = new StrategyCollection();
+
+                // act
+                collection.fetch({
+                    syncStrategy: 'cache-first',
+                    success: function () {
+                        expect(requests).to.have.length(1);
+                        expect(collection.pluck('id')).to.deep.equal(['a']);
+                        done();
+                    }
+                });
+            });
+        });
+    });
+    describe('Queries', function () {
+        var syncKey = 'queried', syncStore, records;
+
+        beforeEach(function () {
+            syncStore = {};
+            records = [
+                { id: 1, title: 'b', done: true, priority: 2 },
+                { id: 2, title: 'c', done: false, priority: 1 },
+                { id: 3, title: 'a', done: true, priority: 3 },
+                { id: 4, title: 'd', done: true, priority: 1 }
+            ];
+        });
+
+        _.each({
+            'a Backbone Collection': function () {
+                syncStore[syncKey] = JSON.stringify(records);
+                return Backbone.Collection.extend({ syncStore: syncStore, syncKey: syncKey });
+            },
+            'a Backbone Collection in records mode': function () {
+                syncStore[syncKey] = JSON.stringify(_.pluck(records, 'id'));
+                _.each(records, function (record) {
+                    syncStore[syncKey + ':' + record.id] = JSON.stringify(record);
+                });
+                return Backbone.Collection.extend({ syncStore: syncStore, syncKey: syncKey, syncRecords: true });
+            }
+        }, function (createCollection, description) {
+            describe('Mixed into ' + description, function () {
+                var QueriedCollection;
+
+                beforeEach(function () {
+                    QueriedCollection = createCollection().extend(StorageSyncMixin);
+                });
+
+                it('should fetch every record without a query', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        success: function () {
+                            expect(collection.pluck('id')).to.deep.equal([1, 2, 3, 4]);
+                            done();
+                        }
+                    });
+                });
+
+                it('should filter records matching "where" attributes', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { where: { done: true } },
+                        success: function () {
+                            expect(collection.pluck('id')).to.deep.equal([1, 3, 4]);
+                            done();
+                        }
+                    });
+                });
+
+                it('should filter records with a "where" predicate', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { where: function (record) { return record.priority > 1; } },
+                        success: function () {
+                            expect(collection.pluck('id')).to.deep.equal([1, 3]);
+                            done();
+                        }
+                    });
+                });
+
+                it('should sort records by "sortBy" in "order"', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { sortBy: 'title', order: 'desc' },
+                        success: function () {
+                            expect(collection.pluck('title')).to.deep.equal(['d', 'c', 'b', 'a']);
+                            done();
+                        }
+                    });
+                });
+
+                it('should paginate records with "offset" and "limit"', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { where: { done: true }, sortBy: 'priority', offset: 1, limit: 1 },
+                        success: function (collection, response, options) {
+                            expect(collection.pluck('id')).to.deep.equal([1]);
+                            expect(options.xhr.total).to.equal(3);
+                            expect(options.xhr.getResponseHeader('X-Total-Count')).to.equal('3');
+                            expect(options.xhr.getResponseHeader('Content-Type')).to.be.null;
+                            done();
+                        }
+                    });
+                });
+
+                it('should paginate records with numeric strings for "offset" and "limit"', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { offset: '1', limit: '2' },
+                        success: function () {
+                            expect(collection.pluck('id')).to.deep.equal([2, 3]);
+                            done();
+                        }
+                    });
+                });
+
+                it('should fail for an "offset" or "limit" that isn\'t a number', function (done) {
+                    var collection = new QueriedCollection();
+
+                    // act
+                    collection.fetch({
+                        data: { limit: 'ten' },
+                        error: function (collection, error) {
+                            expect(error).to.be.an.instanceof(TypeError);
+                            expect(error.message).to.equal('"limit" must be a number of at least 0');
+                            expect(collection).to.have.length(0);
+                            done();
+                        }
+                    });
+                });
+
+                it('should leave the stored records untouched', function (done) {
+                    var collection = new QueriedCollection();
+                    var stored = _.clone(syncStore);
+
+                    // act
+                    collection.fetch({
+                        data: { limit: 1 },
+                        success: function () {
+                            expect(collection).to.have.length(1);
+                            expect(syncStore).to.deep.equal(stored);
+                            done();
+                        }
+                    });
+                });
+            });
+        });
+    });
+    describe('Without jQuery', function () {
+        var syncKey = 'promised', syncStore, $, PromisedModel, PromisedCollection;
+
+        beforeEach(function () {
+            syncStore = {};
+            $ = Backbone.$;
+            Backbone.$ = undefined;
+
+            PromisedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey
+            }).extend(StorageSyncMixin);
+
+            PromisedCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true
+            }).extend(StorageSyncMixin);
+        });
+
+        afterEach(function () {
+            Backbone.$ = $;
+        });
+
+        it('should return a native promise resolved with the JSON', function () {
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'stored' });
+            var model = new PromisedModel();
+
+            // act
+            var actual = model.sync('read', model);
+
+            expect(actual).to.be.an.instanceof(Promise);
+            return actual.then(function (json) {
+                expect(json).to.deep.equal({ id: syncKey, name: 'stored' });
+            });
+        });
+
+        it('should call success and trigger "request" and "sync" events', function (done) {
+            var model = new PromisedModel({ name: 'saved' });
+            var request = sinon.spy();
+            model.on('request', request);
+
+            // act
+            var actual = model.save(null, {
+                success: function () {
+                    expect(request.calledOnce).to.be.true;
+                    expect(request.firstCall.args[1]).to.equal(actual);
+                    expect(JSON.parse(syncStore[syncKey]).name).to.equal('saved');
+                }
+            });
+
+            model.on('sync', function () {
+                done();
+            });
+        });
+
+        it('should reject the promise, call error and trigger an "error" event on failure', function (done) {
+            var model = new PromisedModel();
+            var error = sinon.spy();
+            model.on('error', error);
+
+            // act
+            model.fetch({
+                error: function (model, failure) {
+                    expect(failure).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                }
+            }).then(null, function (failure) {
+                expect(failure).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                expect(error.calledOnce).to.be.true;
+                done();
+            });
+        });
+
+        it('should not leave rejections unhandled when the promise is ignored', function (done) {
+            var unhandled = sinon.spy();
+            process.on('unhandledRejection', unhandled);
+            var model = new PromisedModel();
+
+            // act
+            model.fetch({
+                error: function () {
+                    setTimeout(function () {
+                        process.removeListener('unhandledRejection', unhandled);
+                        expect(unhandled.called).to.be.false;
+                        done();
+                    }, 10);
+                }
+            });
+        });
+
+        it('should create, fetch and destroy models of a collection', function () {
+            var collection = new PromisedCollection();
+            var model = collection.create({ title: 'first' });
+
+            // act
+            return new Promise(function (resolve) {
+                model.once('sync', resolve);
+            }).then(function () {
+                return new PromisedCollection().fetch();
+            }).then(function (json) {
+                expect(_.pluck(json, 'title')).to.deep.equal(['first']);
+                return model.destroy();
+            }).then(function () {
+                expect(JSON.parse(syncStore[syncKey])).to.deep.equal([]);
+            });
+        });
+
+        it('should use the Promise implementation in syncPromise', function () {
+            syncStore[syncKey] = JSON.stringify({ name: 'stored' });
+            var CustomPromise = sinon.spy(function (executor) {
+                return new Promise(executor);
+            });
+            PromisedModel.prototype.syncPromise = CustomPromise;
+            var model = new PromisedModel();
+
+            // act
+            var actual = model.fetch();
+
+            expect(CustomPromise.calledWithNew()).to.be.true;
+            return actual;
+        });
+
+        it('should return a native promise with syncPromise "native" when jQuery is present', function () {
+            Backbone.$ = $;
+            syncStore[syncKey] = JSON.stringify({ name: 'stored' });
+            PromisedModel.prototype.syncPromise = 'native';
+            var model = new PromisedModel();
+
+            // act
+            var actual = model.fetch();
+
+            expect(actual).to.be.an.instanceof(Promise);
+            return actual;
+        });
+    });
+    describe('Immediate sync', function () {
+        var syncKey = 'immediate', syncStore, ImmediateModel;
+
+        beforeEach(function () {
+            syncStore = {};
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'stored' });
+
+            ImmediateModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should populate the model before fetch returns with syncImmediate', function () {
+            var model = new ImmediateModel();
+
+            // act
+            var actual = model.fetch({ syncImmediate: true });
+
+            expect(model.get('name')).to.equal('stored');
+            expect(actual.state()).to.equal('resolved');
+        });
+
+        it('should write before save returns with syncImmediate', function () {
+            var model = new ImmediateModel({ name: 'saved' });
+
+            // act
+            model.save(null, { syncImmediate: true });
+
+            expect(JSON.parse(syncStore[syncKey]).name).to.equal('saved');
+        });
+
+        it('should trigger "request" before "sync"', function () {
+            var model = new ImmediateModel();
+            var events = [];
+            model.on('request', function () { events.push('request'); });
+            model.on('sync', function () { events.push('sync'); });
+
+            // act
+            model.fetch({ syncImmediate: true });
+
+            expect(events).to.deep.equal(['request', 'sync']);
+        });
+
+        it('should call error and reject before fetch returns on failure', function () {
+            delete syncStore[syncKey];
+            var model = new ImmediateModel();
+            var error = sinon.spy();
+
+            // act
+            var actual = model.fetch({ syncImmediate: true, error: error });
+
+            expect(error.calledOnce).to.be.true;
+            expect(actual.state()).to.equal('rejected');
+        });
+
+        it('should use syncImmediate on the instance', function () {
+            ImmediateModel.prototype.syncImmediate = true;
+            var model = new ImmediateModel();
+
+            // act
+            model.fetch();
+
+            expect(model.get('name')).to.equal('stored');
+        });
+
+        it('should prefer syncImmediate in options to syncImmediate on the instance', function () {
+            ImmediateModel.prototype.syncImmediate = true;
+            var model = new ImmediateModel();
+
+            // act
+            model.fetch({ syncImmediate: false });
+
+            expect(model.has('name')).to.be.false;
+        });
+
+        it('should populate a collection before fetch returns', function () {
+            syncStore[syncKey] = JSON.stringify([{ id: 1 }, { id: 2 }]);
+            var ImmediateCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+            var collection = new ImmediateCollection();
+
+            // act
+            collection.fetch();
+
+            expect(collection.pluck('id')).to.deep.equal([1, 2]);
+        });
+    });
+    describe('Transactions', function () {
+        var syncStore, Parent, Children;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            Parent = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: 'parent'
+            }).extend(StorageSyncMixin);
+
+            Children = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: 'children',
+                syncRecords: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should commit every write together once the transaction has run', function () {
+            var parent = new Parent({ name: 'parent' });
+            var children = new Children();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save();
+                children.create({ id: 'a' });
+                children.create({ id: 'b' });
+            });
+
+            expect(syncStore).to.be.empty;
+            return actual.then(function () {
+                expect(JSON.parse(syncStore.parent).name).to.equal('parent');
+                expect(JSON.parse(syncStore.children)).to.deep.equal(['a', 'b']);
+                expect(JSON.parse(syncStore['children:b'])).to.deep.equal({ id: 'b' });
+            });
+        });
+
+        it('should call success on every participant once committed', function () {
+            var parent = new Parent({ name: 'parent' });
+            var children = new Children();
+            var parentSuccess = sinon.spy(), childSuccess = sinon.spy();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save(null, { success: parentSuccess });
+                children.create({ id: 'a' }, { success: childSuccess });
+            });
+
+            return actual.then(function () {
+                expect(parentSuccess.calledOnce).to.be.true;
+                expect(childSuccess.calledOnce).to.be.true;
+            });
+        });
+
+        it('should let later operations read the writes buffered before them', function () {
+            syncStore.parent = JSON.stringify({ id: 'parent', name: 'stored' });
+            var parent = new Parent({ id: 'parent', name: 'saved' });
+            var reloaded = new Parent();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save();
+                reloaded.fetch();
+            });
+
+            return actual.then(function () {
+                expect(reloaded.get('name')).to.equal('saved');
+            });
+        });
+
+        it('should write nothing and fail every participant if an operation fails', function () {
+            var parent = new Parent({ name: 'parent' });
+            var children = new Children([{ id: 'a' }]);
+            var parentError = sinon.spy(), childError = sinon.spy();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save(null, { error: parentError });
+                children.get('a').destroy({ error: childError });
+            });
+
+            return actual.then(function () {
+                throw new Error('Expected the transaction to fail');
+            }, function (error) {
+                expect(error).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                expect(syncStore).to.be.empty;
+                expect(parentError.calledOnce).to.be.true;
+                expect(parentError.firstCall.args[1]).to.equal(error);
+                expect(childError.firstCall.args[1]).to.equal(error);
+            });
+        });
+
+        it('should restore previous values if committing fails', function () {
+            syncStore = new QuotaStorage(60);
+            syncStore.setItem('parent', JSON.stringify({ id: 'parent', name: 'old' }));
+            var parent = new Parent({ id: 'parent', name: 'new' });
+            var children = new Children();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save();
+                children.create({ id: 'a', text: new Array(40).join('x') });
+            });
+
+            return actual.then(function () {
+                throw new Error('Expected the transaction to fail');
+            }, function (error) {
+                expect(error).to.be.an.instanceof(StorageSyncMixin.StorageQuotaError);
+                expect(JSON.parse(syncStore.getItem('parent')).name).to.equal('old');
+                expect(syncStore.getItem('children')).to.be.null;
+                expect(syncStore.getItem('children:a')).to.be.null;
+            });
+        });
+
+        it('should fail every participant if the function throws', function () {
+            var parent = new Parent({ name: 'parent' });
+            var failure = new Error('Failed');
+            var parentError = sinon.spy();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save(null, { error: parentError });
+                throw failure;
+            });
+
+            return actual.then(function () {
+                throw new Error('Expected the transaction to fail');
+            }, function (error) {
+                expect(error).to.equal(failure);
+                expect(parentError.firstCall.args[1]).to.equal(failure);
+                expect(syncStore).to.be.empty;
+            });
+        });
+
+        it('should join nested transactions to the outer transaction', function () {
+            var parent = new Parent({ name: 'parent' });
+            var children = new Children();
+            var inner;
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save();
+                inner = StorageSyncMixin.transaction(function () {
+                    children.create({ id: 'a' });
+                });
+            });
+
+            expect(inner).to.equal(actual);
+            return actual.then(function () {
+                expect(syncStore).to.have.keys(['parent', 'children', 'children:a']);
+            });
+        });
+
+        it('should support asynchronous adapters', function () {
+            syncStore = StorageSyncMixin.adapters.memory();
+            var parent = new Parent({ name: 'parent' });
+            var children = new Children();
+
+            // act
+            var actual = StorageSyncMixin.transaction(function () {
+                parent.save();
+                children.create({ id: 'a' });
+            });
+
+            return actual.then(function () {
+                return Promise.all([syncStore.get('parent'), syncStore.get('children')]);
+            }).then(function (values) {
+                expect(JSON.parse(values[0]).name).to.equal('parent');
+                expect(JSON.parse(values[1])).to.deep.equal(['a']);
+            });
+        });
+
+        it('should not buffer operations started outside the transaction', function (done) {
+            var parent = new Parent({ name: 'parent' });
+
+            StorageSyncMixin.transaction(_.noop);
+
+            // act
+            parent.save(null, {
+                success: function () {
+                    expect(JSON.parse(syncStore.parent).name).to.equal('parent');
+                    done();
+                }
+            });
+        });
+    });
+    describe('Revisions', function () {
+        var syncKey = 'revised', syncStore, RevisedModel;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            RevisedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRevisions: true
+            }).extend(StorageSyncMixin);
+        });
+
+        // Returns the envelope stored under `key`.
+        function stored(key) {
+            return JSON.parse(syncStore[key || syncKey]);
+        }
+
+        // Fetches `models` one after the other, then calls `callback`.
+        function fetchAll(models, callback) {
+            if (!models.length) {
+                return callback();
+            }
+            models[0].fetch({
+                success: function () { fetchAll(models.slice(1), callback); }
+            });
+        }
+
+        it('should store a revision that increases with each write', function (done) {
+            var model = new RevisedModel({ name: 'first' });
+
+            // act
+            model.save(null, {
+                success: function () {
+                    expect(stored()).to.include({ syncRevision: 1 });
+
+                    model.save({ name: 'second' }, {
+                        success: function () {
+                            expect(stored()).to.include({ syncRevision: 2 });
+                            expect(stored().data.name).to.equal('second');
+                            done();
+                        }
+                    });
+                }
+            });
+        });
+
+        it('should read data stored without a revision as revision 0', function (done) {
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'legacy' });
+            var model = new RevisedModel();
+
+            fetchAll([model], function () {
+                // act
+                model.save({ name: 'revised' }, {
+                    success: function () {
+                        expect(stored()).to.include({ syncRevision: 1 });
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('when the stored revision is newer than the one read', function () {
+            var ours, theirs;
+
+            beforeEach(function (done) {
+                syncStore[syncKey] = JSON.stringify({ syncVersion: 0, syncRevision: 1, data: { id: syncKey, n: 1 } });
+                ours = new RevisedModel();
+                theirs = new RevisedModel();
+
+                fetchAll([ours, theirs], function () {
+                    theirs.save({ n: 2, by: 'theirs' }, { success: function () { done(); } });
+                });
+            });
+
+            it('should fail the save with a StorageConflictError that has both versions', function (done) {
+                // act
+                ours.save({ n: 3 }, {
+                    error: function (model, error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageConflictError);
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageError);
+                        expect(error.key).to.equal(syncKey);
+                        expect(error.ours).to.deep.equal({ id: syncKey, n: 3 });
+                        expect(error.theirs).to.deep.equal({ id: syncKey, n: 2, by: 'theirs' });
+                        expect(error.revision).to.equal(2);
+                        expect(stored().data.n).to.equal(2);
+                        done();
+                    }
+                });
+            });
+
+            it('should fail patches too', function (done) {
+                // act
+                ours.save({ n: 3 }, {
+                    patch: true,
+                    error: function (model, error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageConflictError);
+                        expect(stored().data.n).to.equal(2);
+                        done();
+                    }
+                });
+            });
+
+            it('should fail saves from instances that have not read the data', function (done) {
+                var unread = new RevisedModel({ n: 4 });
+
+                // act
+                unread.save(null, {
+                    error: function (model, error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageConflictError);
+                        done();
+                    }
+                });
+            });
+
+            it('should save after fetching the newer revision', function (done) {
+                fetchAll([ours], function () {
+                    // act
+                    ours.save({ n: 3 }, {
+                        success: function () {
+                            expect(stored()).to.include({ syncRevision: 3 });
+                            done();
+                        }
+                    });
+                });
+            });
+
+            it('should keep the stored data with the "theirs" resolver', function (done) {
+                // act
+                ours.save({ n: 3 }, {
+                    syncConflict: 'theirs',
+                    success: function () {
+                        expect(ours.get('n')).to.equal(2);
+                        expect(ours.get('by')).to.equal('theirs');
+                        expect(stored()).to.include({ syncRevision: 2 });
+                        done();
+                    }
+                });
+            });
+
+            it('should write over the stored data with the "ours" resolver', function (done) {
+                RevisedModel.prototype.syncConflict = 'ours';
+
+                // act
+                ours.save({ n: 3 }, {
+                    success: function () {
+                        expect(stored()).to.include({ syncRevision: 3 });
+                        expect(stored().data).to.deep.equal({ id: syncKey, n: 3 });
+                        done();
+                    }
+                });
+            });
+
+            it('should write the JSON returned by a custom resolver', function (done) {
+                var merge = sinon.spy(function (ours, theirs) {
+                    return _.extend({}, theirs, ours, { n: ours.n + theirs.n });
+                });
+
+                // act
+                ours.save({ n: 3 }, {
+                    syncConflict: merge,
+                    success: function () {
+                        expect(merge.calledWith({ id: syncKey, n: 3 }, { id: syncKey, n: 2, by: 'theirs' }, syncKey))
+                            .to.be.true;
+                        expect(stored().data).to.deep.equal({ id: syncKey, n: 5, by: 'theirs' });
+                        expect(ours.get('n')).to.equal(5);
+                        done();
+                    }
+                });
+            });
+        });
+
+        describe('Mixed into a Backbone Collection in records mode', function () {
+            it('should detect conflicts per record', function (done) {
+                var RevisedCollection = Backbone.Collection.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncRecords: true,
+                    syncRevisions: true
+                }).extend(StorageSyncMixin);
+                var ours = new RevisedCollection(), theirs = new RevisedCollection();
+                syncStore[syncKey] = JSON.stringify(['a', 'b']);
+                syncStore[syncKey + ':a'] = JSON.stringify({ id: 'a' });
+                syncStore[syncKey + ':b'] = JSON.stringify({ id: 'b' });
+
+                fetchAll([ours, theirs], function () {
+                    theirs.get('a').save({ done: true }, {
+                        success: function () {
+                            ours.get('b').save({ done: true }, {
+                                success: function () {
+                                    // act
+                                    ours.get('a').save({ done: false }, {
+                                        error: function (model, error) {
+                                            expect(error).to.be.an.instanceof(StorageSyncMixin.StorageConflictError);
+                                            expect(error.key).to.equal(syncKey + ':a');
+                                            done();
+                                        }
+                                    });
+                                }
+                            });
+                        }
+                    });
+                });
+            });
+        });
+    });
+    describe('Autosave', function () {
+        var syncKey = 'autosaved', syncStore, clock, AutosavedModel;
+
+        beforeEach(function () {
+            syncStore = {};
+            clock = sinon.useFakeTimers();
+            global.window = new FakeWindow();
+
+            AutosavedModel = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncAutosave: true
+            }).extend(StorageSyncMixin);
+        });
+
+        afterEach(function () {
+            clock.restore();
+            delete global.window;
+        });
+
+        it('should save once after a burst of changes', function () {
+            var model = new AutosavedModel().startAutosave();
+            var save = sinon.spy(model, 'save');
+
+            // act
+            model.set('name', 'a');
+            clock.tick(200);
+            model.set('name', 'ab');
+            clock.tick(299);
+
+            expect(save.called).to.be.false;
+            clock.tick(1);
+            expect(save.calledOnce).to.be.true;
+            expect(JSON.parse(syncStore[syncKey]).name).to.equal('ab');
+        });
+
+        it('should use the wait in syncAutosave', function () {
+            AutosavedModel.prototype.syncAutosave = { wait: 50 };
+            var model = new AutosavedModel().startAutosave();
+
+            // act
+            model.set('name', 'a');
+            clock.tick(50);
+
+            expect(syncStore).to.have.property(syncKey);
+        });
+
+        it('should save no later than maxWait after the first change', function () {
+            AutosavedModel.prototype.syncAutosave = { wait: 300, maxWait: 500 };
+            var model = new AutosavedModel().startAutosave();
+            var save = sinon.spy(model, 'save');
+
+            // act
+            _.times(3, function (i) {
+                model.set('count', i);
+                clock.tick(200);
+            });
+
+            expect(save.calledOnce).to.be.true;
+            expect(JSON.parse(syncStore[syncKey]).count).to.equal(2);
+        });
+
+        it('should save pending changes on flushAutosave()', function () {
+            var model = new AutosavedModel().startAutosave();
+            var save = sinon.spy(model, 'save');
+            model.set('name', 'a');
+
+            // act
+            var actual = model.flushAutosave();
+
+            expect(actual.state()).to.equal('resolved');
+            expect(JSON.parse(syncStore[syncKey]).name).to.equal('a');
+            clock.tick(300);
+            expect(save.calledOnce).to.be.true;
+        });
+
+        it('should not save on flushAutosave() without pending changes', function () {
+            var model = new AutosavedModel().startAutosave();
+
+            // act
+            var actual = model.flushAutosave();
+
+            expect(actual).to.be.undefined;
+            expect(syncStore).to.be.empty;
+        });
+
+        it('should discard pending changes on cancelAutosave()', function () {
+            var model = new AutosavedModel().startAutosave();
+            model.set('name', 'a');
+
+            // act
+            model.cancelAutosave();
+            clock.tick(300);
+
+            expect(syncStore).to.be.empty;
+        });
+
+        _.each(['beforeunload', 'pagehide'], function (type) {
+            it('should save pending changes on "' + type + '"', function () {
+                var model = new AutosavedModel().startAutosave();
+                model.set('name', 'a');
+
+                // act
+                window.dispatchEvent({ type: type });
+
+                expect(JSON.parse(syncStore[syncKey]).name).to.equal('a');
+            });
+        });
+
+        it('should start on the first sync', function (done) {
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'stored' });
+            var model = new AutosavedModel();
+
+            model.fetch({
+                success: function () {
+                    // act
+                    model.set('name', 'changed');
+                    clock.tick(300);
+
+                    expect(JSON.parse(syncStore[syncKey]).name).to.equal('changed');
+                    done();
+                }
+            });
+        });
+
+        it('should leave initialize to the class it is mixed into', function () {
+            var initialize = sinon.spy();
+            var InitializedModel = Backbone.Model.extend(_.extend({ initialize: initialize }, StorageSyncMixin, {
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncAutosave: true
+            }));
+
+            // act
+            var model = new InitializedModel({ name: 'initial' });
+            model.set('name', 'edited');
+            clock.tick(300);
+
+            expect(initialize.calledOn(model)).to.be.true;
+            expect(syncStore).to.deep.equal({});
+        });
+
+        it('should not save changes made by a sync', function (done) {
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'stored' });
+            var model = new AutosavedModel();
+            var save = sinon.spy(model, 'save');
+
+            // act
+            model.fetch({
+                success: function () {
+                    clock.tick(300);
+
+                    expect(save.called).to.be.false;
+                    done();
+                }
+            });
+        });
+
+        it('should not save changes applied from another tab', function () {
+            var model = new AutosavedModel().startAutosave();
+
+            // act
+            model.set('name', 'theirs', { syncLive: true });
+            clock.tick(300);
+
+            expect(syncStore).to.be.empty;
+        });
+
+        it('should stop when the model is destroyed', function () {
+            var model = new AutosavedModel({ id: syncKey }).startAutosave();
+            model.set('name', 'a');
+
+            // act
+            model.trigger('destroy', model);
+            model.set('name', 'b');
+            clock.tick(300);
+
+            expect(syncStore).to.be.empty;
+            expect(window._listeners).to.be.empty;
+        });
+
+        it('should stop on stopListening()', function () {
+            var model = new AutosavedModel().startAutosave();
+
+            // act
+            model.stopListening();
+            model.set('name', 'a');
+            clock.tick(300);
+
+            expect(syncStore).to.be.empty;
+            expect(window._listeners).to.be.empty;
+        });
+
+        describe('Mixed into a Backbone Collection', function () {
+            var AutosavedCollection;
+
+            beforeEach(function () {
+                AutosavedCollection = Backbone.Collection.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncAutosave: true
+                }).extend(StorageSyncMixin);
+            });
+
+            it('should save once after models are added, changed and removed', function () {
+                var collection = new AutosavedCollection().startAutosave();
+                var sync = sinon.spy(collection, 'sync');
+
+                // act
+                collection.add([{ id: 1 }, { id: 2 }]);
+                collection.get(1).set('done', true);
+                collection.remove(2);
+                clock.tick(300);
+
+                expect(sync.calledOnce).to.be.true;
+                expect(sync.firstCall.args[0]).to.equal('update');
+                expect(JSON.parse(syncStore[syncKey])).to.deep.equal([{ id: 1, done: true }]);
+            });
+
+            it('should save after a reset', function () {
+                var collection = new AutosavedCollection().startAutosave();
+
+                // act
+                collection.reset([{ id: 3 }]);
+                clock.tick(300);
+
+                expect(JSON.parse(syncStore[syncKey])).to.deep.equal([{ id: 3 }]);
+            });
+
+            it('should trigger "error" when saving fails', function () {
+                var collection = new AutosavedCollection().startAutosave();
+                var failure = new Error('Failed');
+                sinon.stub(collection, '_syncSet').throws(failure);
+                var error = sinon.spy();
+                collection.on('error', error);
+
+                // act
+                collection.add({ id: 1 });
+                clock.tick(300);
+
+                expect(error.calledWith(collection, failure)).to.be.true;
+            });
+        });
+    });
+    describe('Snapshots', function () {
+        var syncStore, namespace, Todos, Settings;
+
+        beforeEach(function () {
+            syncStore = new FakeStorage();
+            namespace = _.uniqueId('backup');
+            syncStore.setItem('unrelated', 'kept');
+
+            Todos = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: 'todos',
+                syncRecords: true,
+                syncNamespace: namespace
+            }).extend(StorageSyncMixin);
+
+            Settings = Backbone.Model.extend({
+                syncStore: syncStore,
+                syncKey: 'settings',
+                syncRevisions: true
+            }).extend(StorageSyncMixin);
+        });
+
+        // Saves a todo and the settings, then calls `callback`.
+        function saveAll(callback) {
+            new Todos().create({ id: 'a', title: 'A' }, {
+                success: function () {
+                    new Settings({ theme: 'dark' }).save(null, {
+                        syncTTL: 60000,
+                        success: function () { callback(); }
+                    });
+                }
+            });
+        }
+
+        describe('export()', function () {
+            it('should snapshot the keys in options.keys with their metadata', function (done) {
+                saveAll(function () {
+                    // act
+                    var actual = StorageSyncMixin.export({
+                        store: syncStore,
+                        keys: [namespace + ':todos', namespace + ':todos:a', 'settings', 'missing']
+                    });
+
+                    expect(actual).to.include({ format: 'backbone-storage-sync', version: 1, namespace: null });
+                    expect(actual.exported).to.be.a('number');
+                    expect(_.pluck(actual.entries, 'key').sort())
+                        .to.deep.equal([namespace + ':todos', namespace + ':todos:a', 'settings']);
+
+                    var settings = _.find(actual.entries, { key: 'settings' });
+                    expect(settings.value).to.equal(syncStore.getItem('settings'));
+                    expect(settings).to.include({ namespace: null, revision: 1, syncVersion: 0 });
+                    expect(settings.written).to.be.a('number');
+
+                    var todo = _.find(actual.entries, { key: namespace + ':todos:a' });
+                    expect(todo).to.include({ namespace: namespace, revision: null, written: null, syncVersion: null });
+                    done();
+                });
+            });
+
+            it('should only snapshot the keys in options.namespace', function (done) {
+                saveAll(function () {
+                    // act
+                    var actual = StorageSyncMixin.export({ store: syncStore, namespace: namespace });
+
+                    expect(actual.namespace).to.equal(namespace);
+                    expect(_.pluck(actual.entries, 'key').sort())
+                        .to.deep.equal([namespace + ':todos', namespace + ':todos:a']);
+                    done();
+                });
+            });
+
+            it('should throw without a namespace or keys', function () {
+                Settings.prototype.syncImmediate = true;
+                new Settings().save();
+
+                // act
+                var exportSnapshot = function () { StorageSyncMixin.export({ store: syncStore }); };
+
+                expect(exportSnapshot).to.throw(ReferenceError, '"namespace" or "keys" must be defined');
+            });
+
+            it('should throw without a store when instances have used several', function () {
+                Settings.prototype.syncImmediate = true;
+                new Settings().save();
+                new (Settings.extend({ syncStore: new FakeStorage() }))().save();
+
+                // act
+                var exportSnapshot = function () { StorageSyncMixin.export({ keys: ['settings'] }); };
+
+                expect(exportSnapshot).to.throw(ReferenceError, '"store" must be defined');
+            });
+
+            it('should return a promise for asynchronous adapters', function () {
+                var store = StorageSyncMixin.adapters.memory();
+                var AsyncSettings = Settings.extend({ syncStore: store, syncPromise: 'native' });
+
+                return new AsyncSettings({ theme: 'light' }).save().then(function () {
+                    // act
+                    return StorageSyncMixin.export({ store: store, keys: ['settings'] });
+                }).then(function (snapshot) {
+                    expect(_.pluck(snapshot.entries, 'key')).to.deep.equal(['settings']);
+                });
+            });
+        });
+
+        describe('import()', function () {
+            var snapshot, target;
+
+            beforeEach(function (done) {
+                target = new FakeStorage();
+                saveAll(function () {
+                    snapshot = JSON.parse(JSON.stringify(StorageSyncMixin.export({
+                        store: syncStore,
+                        keys: [namespace + ':todos', namespace + ':todos:a', 'settings']
+                    })));
+                    done();
+                });
+            });
+
+            it('should write the entries of the snapshot', function () {
+                // act
+                return StorageSyncMixin.import(snapshot, { store: target }).then(function (keys) {
+                    expect(keys).to.have.length(3);
+                    _.each(snapshot.entries, function (entry) {
+                        expect(target.getItem(entry.key)).to.equal(entry.value);
+                    });
+                });
+            });
+
+            it('should let instances read the imported data', function () {
+                return StorageSyncMixin.import(snapshot, { store: target }).then(function () {
+                    var todos = new (Todos.extend({ syncStore: target, syncPromise: 'native' }))();
+
+                    // act
+                    return todos.fetch().then(function () {
+                        expect(todos.pluck('title')).to.deep.equal(['A']);
+                    });
+                });
+            });
+
+            it('should keep other keys when merging', function () {
+                target.setItem('settings', 'old');
+                target.setItem('other', 'kept');
+
+                // act
+                return StorageSyncMixin.import(snapshot, { store: target, mode: 'merge' }).then(function () {
+                    expect(target.getItem('settings')).to.not.equal('old');
+                    expect(target.getItem('other')).to.equal('kept');
+                });
+            });
+
+            it('should remove the other keys in the namespace of the snapshot when replacing', function () {
+                var namespaced = StorageSyncMixin.export({ store: syncStore, namespace: namespace });
+                syncStore.setItem(namespace + ':todos:b', '{}');
+
+                // act
+                return StorageSyncMixin.import(namespaced, { store: syncStore, mode: 'replace' }).then(function () {
+                    expect(syncStore.getItem(namespace + ':todos:b')).to.be.null;
+                    expect(syncStore.getItem(namespace + ':todos:a')).to.not.be.null;
+                    expect(syncStore.getItem('settings')).to.not.be.null;
+                    expect(syncStore.getItem('unrelated')).to.equal('kept');
+                });
+            });
+
+            it('should remove the other keys in options.keys when replacing', function () {
+                var options = { store: syncStore, mode: 'replace', keys: ['settings', 'stale'] };
+                syncStore.setItem('stale', '{}');
+
+                // act
+                return StorageSyncMixin.import(_.extend(snapshot, { entries: [] }), options).then(function () {
+                    expect(syncStore.getItem('stale')).to.be.null;
+                    expect(syncStore.getItem('settings')).to.be.null;
+                    expect(syncStore.getItem('unrelated')).to.equal('kept');
+                });
+            });
+
+            it('should reject replacing without a namespace or keys', function () {
+                // act
+                return StorageSyncMixin.import(snapshot, { store: target, mode: 'replace' }).then(function () {
+                    throw new Error('Expected the import to fail');
+                }, function (error) {
+                    expect(error).to.be.an.instanceof(ReferenceError);
+                    expect(target.length).to.equal(0);
+                });
+            });
+
+            _.each({
+                'a value that is not a snapshot': function () { return { entries: [] }; },
+                'a snapshot of a later version': function () { return _.extend(snapshot, { version: 2 }); },
+                'a snapshot without entries': function () { return _.omit(snapshot, 'entries'); },
+                'a malformed entry': function () {
+                    snapshot.entries.push({ key: 'bad', value: 42 });
+                    return snapshot;
+                },
+                'a repeated key': function () {
+                    snapshot.entries.push(_.clone(snapshot.entries[0]));
+                    return snapshot;
+                },
+                'a key outside the namespace of the snapshot': function () {
+                    snapshot.namespace = namespace;
+                    return snapshot;
+                }
+            }, function (createSnapshot, description) {
+                it('should reject ' + description + ' without writing anything', function () {
+                    // act
+                    return StorageSyncMixin.import(createSnapshot(), { store: target }).then(function () {
+                        throw new Error('Expected the import to fail');
+                    }, function (error) {
+                        expect(error).to.be.an.instanceof(StorageSyncMixin.StorageSnapshotError);
+                        expect(target.length).to.equal(0);
+                    });
+                });
+            });
+
+            it('should reject an unknown mode', function () {
+                // act
+                return StorageSyncMixin.import(snapshot, { store: target, mode: 'append' }).then(function () {
+                    throw new Error('Expected the import to fail');
+                }, function (error) {
+                    expect(error).to.be.an.instanceof(TypeError);
+                });
+            });
+
+            it('should restore replaced values if a write fails', function () {
+                var quotaStore = new QuotaStorage(100);
+                quotaStore.setItem('settings', 'old');
+                snapshot.entries.push({ key: 'large', value: new Array(100).join('x') });
+
+                // act
+                return StorageSyncMixin.import(snapshot, { store: quotaStore }).then(function () {
+                    throw new Error('Expected the import to fail');
+                }, function () {
+                    expect(quotaStore.getItem('settings')).to.equal('old');
+                    expect(quotaStore.length).to.equal(1);
+                });
+            });
+        });
+    });
+    describe('History', function () {
+        var syncKey = 'historic', historyKey = 'historic:backbone-storage-sync:history', syncStore, HistoricModel;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            HistoricModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncHistory: 2,
+                syncImmediate: true,
+                syncPromise: 'native'
+            }).extend(StorageSyncMixin);
+        });
+
+        // Saves `model` with each of `names` in turn.
+        function saveNames(model, names) {
+            _.each(names, function (name) {
+                model.save({ name: name });
+            });
+        }
+
+        it('should keep the replaced data in a side key', function () {
+            var model = new HistoricModel();
+
+            // act
+            saveNames(model, ['first', 'second']);
+
+            var history = JSON.parse(syncStore[historyKey]);
+            expect(history.versions).to.have.length(1);
+            expect(JSON.parse(history.versions[0].value).name).to.equal('first');
+            expect(history.versions[0].written).to.be.a('number');
+            expect(history.written).to.be.a('number');
+        });
+
+        it('should not keep a history without syncHistory', function () {
+            HistoricModel.prototype.syncHistory = undefined;
+            var model = new HistoricModel();
+
+            // act
+            saveNames(model, ['first', 'second']);
+
+            expect(_.keys(syncStore)).to.deep.equal([syncKey]);
+        });
+
+        it('should list the last syncHistory versions from the most recent', function () {
+            var model = new HistoricModel();
+            saveNames(model, ['first', 'second', 'third', 'fourth']);
+
+            // act
+            return model.versions().then(function (actual) {
+                expect(_.pluck(_.pluck(actual, 'json'), 'name')).to.deep.equal(['third', 'second']);
+                expect(actual[0].written).to.be.at.least(actual[1].written);
+            });
+        });
+
+        it('should diff a version against the current attributes', function () {
+            var model = new HistoricModel();
+            saveNames(model, ['first']);
+            model.save({ name: 'second', done: true });
+
+            // act
+            return model.diffVersion(0).then(function (actual) {
+                expect(actual).to.deep.equal({
+                    name: { current: 'second', version: 'first' },
+                    done: { current: true, version: undefined }
+                });
+            });
+        });
+
+        it('should restore a version and trigger "sync"', function () {
+            var model = new HistoricModel();
+            saveNames(model, ['first']);
+            model.save({ name: 'second', done: true });
+            var sync = sinon.spy();
+            model.on('sync', sync);
+
+            // act
+            return model.restore(0).then(function () {
+                expect(model.toJSON()).to.deep.equal({ id: syncKey, name: 'first' });
+                expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ id: syncKey, name: 'first' });
+                expect(sync.calledOnce).to.be.true;
+                return model.versions();
+            }).then(function (versions) {
+                expect(versions[0].json).to.deep.equal({ id: syncKey, name: 'second', done: true });
+            });
+        });
+
+        it('should reject with a StorageNotFoundError for versions that are not stored', function () {
+            var model = new HistoricModel();
+            saveNames(model, ['first']);
+
+            // act
+            return model.restore(0).then(function () {
+                throw new Error('restore should have failed');
+            }, function (error) {
+                expect(error).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+                return model.diffVersion(5);
+            }).then(function () {
+                throw new Error('diffVersion should have failed');
+            }, function (error) {
+                expect(error).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+            });
+        });
+
+        it('should return a deferred with jQuery', function () {
+            HistoricModel.prototype.syncPromise = undefined;
+            var model = new HistoricModel();
+            saveNames(model, ['first']);
+
+            // act
+            var actual = model.restore(0);
+
+            expect(actual.state()).to.equal('rejected');
+        });
+
+        it('should throw a TypeError with syncRecords', function () {
+            var HistoricCollection = Backbone.Collection.extend({
+                syncStore: syncStore,
+                syncKey: syncKey,
+                syncRecords: true,
+                syncHistory: 5
+            }).extend(StorageSyncMixin);
+
+            expect(function () {
+                // act
+                new HistoricCollection().fetch();
+            }).to.throw(TypeError);
+        });
+
+        it('should drop the oldest versions that do not fit', function () {
+            syncStore = new QuotaStorage(360);
+            var model = new HistoricModel();
+
+            // act
+            saveNames(model, [new Array(60).join('a'), new Array(60).join('b'), new Array(60).join('c')]);
+
+            expect(JSON.parse(syncStore.getItem(syncKey)).name.charAt(0)).to.equal('c');
+            return model.versions().then(function (versions) {
+                expect(versions).to.have.length(1);
+                expect(versions[0].json.name.charAt(0)).to.equal('b');
+            });
+        });
+
+        it('should remove the history when the data does not fit otherwise', function () {
+            syncStore = new QuotaStorage(250);
+            var model = new HistoricModel();
+            var error = sinon.spy();
+            model.on('error', error);
+
+            // act
+            saveNames(model, [new Array(60).join('a'), new Array(120).join('b')]);
+
+            expect(error.called).to.be.false;
+            expect(JSON.parse(syncStore.getItem(syncKey)).name.charAt(0)).to.equal('b');
+            return model.versions().then(function (versions) {
+                expect(versions).to.be.empty;
+            });
+        });
+
+        it('should read versions through the serializer', function () {
+            HistoricModel.prototype.syncSerializer = StorageSyncMixin.serializers.typedJson();
+            var model = new HistoricModel();
+            var date = new Date(2020, 0, 1);
+            model.save({ date: date });
+            model.save({ date: new Date() });
+
+            // act
+            return model.versions().then(function (actual) {
+                expect(actual[0].json.date).to.be.an.instanceof(Date);
+                expect(actual[0].json.date.getTime()).to.equal(date.getTime());
+            });
+        });
+
+        describe('Mixed into a Backbone Collection', function () {
+            it('should restore a version, call success and trigger "sync"', function () {
+                var HistoricCollection = Backbone.Collection.extend({
+                    syncStore: syncStore,
+                    syncKey: syncKey,
+                    syncHistory: 5,
+                    syncImmediate: true,
+                    syncPromise: 'native'
+                }).extend(StorageSyncMixin);
+                var collection = new HistoricCollection([{ id: 1 }]);
+                collection.sync('create', collection);
+                collection.add({ id: 2 });
+                collection.sync('update', collection);
+                var success = sinon.spy(), sync = sinon.spy();
+                collection.on('sync', sync);
+
+                // act
+                return collection.restore(0, { success: success }).then(function () {
+                    expect(collection.pluck('id')).to.deep.equal([1]);
+                    expect(JSON.parse(syncStore[syncKey])).to.deep.equal([{ id: 1 }]);
+                    expect(success.calledWith(collection)).to.be.true;
+                    expect(sync.calledOnce).to.be.true;
+                });
+            });
+        });
+    });
+
+    describe('Diagnostics', function () {
+        var syncNamespace, syncStore, MeasuredModel;
+
+        beforeEach(function () {
+            syncNamespace = _.uniqueId('measured');
+            syncStore = {};
+
+            MeasuredModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncNamespace: syncNamespace,
+                syncKey: function () { return this.id; },
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should report the size and usage of each managed key, largest first', function () {
+            var small = new MeasuredModel({ id: 'small' }),
+                large = new MeasuredModel({ id: 'large', text: 'long text' });
+            small.save();
+            large.save();
+            large.fetch();
+            syncStore.unmanaged = 'other';
+
+            // act
+            var actual = StorageSyncMixin.usage({ store: syncStore, namespace: syncNamespace });
+
+            var largeKey = syncNamespace + ':large';
+            expect(_.pluck(actual.keys, 'key')).to.deep.equal([largeKey, syncNamespace + ':small']);
+            expect(actual.keys[0].bytes).to.equal((largeKey.length + syncStore[largeKey].length) * 2);
+            expect(actual.keys[0].reads).to.equal(1);
+            expect(actual.keys[0].writes).to.equal(1);
+            expect(actual.keys[0].written).to.be.a('number');
+            expect(actual.used).to.equal(_.sum(_.pluck(actual.keys, 'bytes')) + ('unmanaged' + 'other').length * 2);
+        });
+
+        it('should read the last write time of keys written in earlier sessions from their envelope', function () {
+            syncStore[syncNamespace + ':old'] = JSON.stringify({ syncVersion: 1, syncWritten: 1000, data: {} });
+            new MeasuredModel({ id: 'new' }).save();
+
+            // act
+            var actual = StorageSyncMixin.usage({ store: syncStore, namespace: syncNamespace });
+
+            var old = _.find(actual.keys, 'key', syncNamespace + ':old');
+            expect(old.written).to.equal(1000);
+            expect(old.reads).to.equal(0);
+            expect(old.writes).to.equal(0);
+        });
+
+        it('should estimate the quota of Web Storage', function () {
+            var storage = new FakeStorage();
+            storage.setItem('key', 'value');
+
+            // act
+            var actual = StorageSyncMixin.usage({ store: storage });
+
+            expect(actual.quota).to.equal(5 * 1024 * 1024);
+            expect(actual.ratio).to.equal(16 / (5 * 1024 * 1024));
+        });
+
+        it('should not estimate the quota of other stores unless it is given', function () {
+            expect(StorageSyncMixin.usage({ store: syncStore }).quota).to.equal(null);
+            expect(StorageSyncMixin.usage({ store: syncStore }).ratio).to.equal(null);
+            expect(StorageSyncMixin.usage({ store: syncStore, quota: 100 }).quota).to.equal(100);
+        });
+
+        it('should trigger "storage:near-quota" once when writes reach syncQuotaWarning', function () {
+            MeasuredModel.prototype.syncQuota = 400;
+            MeasuredModel.prototype.syncQuotaWarning = 0.5;
+            var model = new MeasuredModel({ id: 'model' }), spy = sinon.spy();
+            model.on('storage:near-quota', spy);
+
+            // act
+            model.save({ text: 'short' });
+            model.save({ text: _.repeat('x', 100) });
+            model.save({ text: _.repeat('y', 100) });
+
+            expect(spy.calledOnce).to.equal(true);
+            expect(spy.firstCall.args[0]).to.equal(model);
+            expect(spy.firstCall.args[1].ratio).to.be.at.least(0.5);
+        });
+
+        it('should trigger "storage:near-quota" again after usage drops below the threshold', function () {
+            MeasuredModel.prototype.syncQuota = 400;
+            MeasuredModel.prototype.syncQuotaWarning = 0.5;
+            var model = new MeasuredModel({ id: 'model' }), spy = sinon.spy();
+            model.on('storage:near-quota', spy);
+            model.save({ text: _.repeat('x', 100) });
+            model.save({ text: 'short' });
+
+            // act
+            model.save({ text: _.repeat('y', 100) });
+
+            expect(spy.calledTwice).to.equal(true);
+        });
+
+        it('should measure usage once for each write operation', function () {
+            var MeasuredCollection = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncNamespace: syncNamespace,
+                syncKey: 'records',
+                syncRecords: true,
+                syncImmediate: true,
+                syncQuota: 400,
+                syncQuotaWarning: 0.5
+            }).extend(StorageSyncMixin);
+            var collection = new MeasuredCollection([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+            var checkQuota = sinon.spy(collection, '_syncCheckQuota');
+
+            // act
+            collection.sync('update', collection);
+
+            expect(checkQuota.calledOnce).to.equal(true);
+        });
+
+        it('should not wait for usage to be measured before resolving a write', function () {
+            var store = StorageSyncMixin.adapters.memory();
+            var keys = store.keys;
+            var measured = false;
+            store.keys = function () {
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, 20);
+                }).then(function () {
+                    measured = true;
+                    return keys.call(store);
+                });
+            };
+            var AsyncModel = MeasuredModel.extend({
+                syncStore: store,
+                syncPromise: 'native',
+                syncQuota: 400,
+                syncQuotaWarning: 0.5
+            });
+
+            // act
+            return new AsyncModel({ id: 'model' }).save().then(function () {
+                expect(measured).to.equal(false);
+            });
+        });
+
+        it('should not trigger "storage:near-quota" without syncQuotaWarning', function () {
+            MeasuredModel.prototype.syncQuota = 400;
+            var model = new MeasuredModel({ id: 'model' }), spy = sinon.spy();
+            model.on('storage:near-quota', spy);
+
+            // act
+            model.save({ text: _.repeat('x', 100) });
+
+            expect(spy.called).to.equal(false);
+        });
+    });
+
+    describe('Middleware', function () {
+        var syncKey = 'guarded', syncStore, GuardedModel;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            GuardedModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+        });
+
+        afterEach(function () {
+            StorageSyncMixin.middleware.length = 0;
+        });
+
+        it('should pass the operation context to middleware', function () {
+            var spy = sinon.spy(function (context, next) { return next(); });
+            GuardedModel.prototype.syncMiddleware = [spy];
+            var model = new GuardedModel({ name: 'name' });
+
+            // act
+            model.save();
+
+            var context = spy.firstCall.args[0];
+            expect(spy.calledOn(model)).to.equal(true);
+            expect(context.method).to.equal('create');
+            expect(context.instance).to.equal(model);
+            expect(context.key).to.equal(syncKey);
+            expect(context.payload).to.deep.equal({ id: syncKey, name: 'name' });
+            expect(context.options.syncMethod).to.equal('create');
+        });
+
+        it('should write the payload as changed by middleware', function () {
+            GuardedModel.prototype.syncMiddleware = [function (context, next) {
+                context.payload = _.omit(context.payload, 'password');
+                return next();
+            }];
+
+            // act
+            new GuardedModel({ name: 'name', password: 'secret' }).save();
+
+            expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ id: syncKey, name: 'name' });
+        });
+
+        it('should pass the models of a collection as an array payload', function () {
+            var GuardedCollection = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncImmediate: true,
+                syncMiddleware: [function (context, next) {
+                    var redact = function (json) {
+                        return _.omit(json, 'password');
+                    };
+
+                    if (_.isArray(context.payload)) {
+                        context.payload = _.map(context.payload, redact);
+                    }
+                    else if (context.payload) {
+                        context.payload = redact(context.payload);
+                    }
+                    return next();
+                }]
+            }).extend(StorageSyncMixin);
+            var collection = new GuardedCollection([{ id: 'a', password: 'secret' }, { id: 'b', name: 'b' }]);
+
+            // act
+            collection.sync('update', collection);
+
+            expect(JSON.parse(syncStore[syncKey])).to.deep.equal([{ id: 'a' }, { id: 'b', name: 'b' }]);
+        });
+
+        it('should run global middleware before the middleware of the instance', function () {
+            var calls = [];
+            StorageSyncMixin.middleware.push(function (context, next) {
+                calls.push('global');
+                return next();
+            });
+            GuardedModel.prototype.syncMiddleware = [function (context, next) {
+                calls.push('instance');
+                return next();
+            }];
+
+            // act
+            new GuardedModel().save();
+
+            expect(calls).to.deep.equal(['global', 'instance']);
+        });
+
+        it('should resolve with the result of middleware that does not call next', function () {
+            syncStore[syncKey] = JSON.stringify({ name: 'stored' });
+            GuardedModel.prototype.syncMiddleware = [function () {
+                return { name: 'cached' };
+            }];
+            var model = new GuardedModel({ id: syncKey });
+
+            // act
+            model.fetch();
+
+            expect(model.get('name')).to.equal('cached');
+        });
+
+        it('should resolve with the result as changed by middleware', function () {
+            syncStore[syncKey] = JSON.stringify({ name: 'stored' });
+            GuardedModel.prototype.syncMiddleware = [function (context, next) {
+                return _.extend(next(), { read: true });
+            }];
+            var model = new GuardedModel({ id: syncKey });
+
+            // act
+            model.fetch();
+
+            expect(model.get('read')).to.equal(true);
+        });
+
+        it('should fail the operation when middleware throws', function () {
+            var error = new Error('denied'), errorSpy = sinon.spy();
+            GuardedModel.prototype.syncMiddleware = [function () {
+                throw error;
+            }];
+
+            // act
+            new GuardedModel().save(null, { error: errorSpy });
+
+            expect(errorSpy.calledOnce).to.equal(true);
+            expect(errorSpy.firstCall.args[1]).to.equal(error);
+            expect(syncStore).to.deep.equal({});
+        });
+
+        it('should wait for middleware that returns a promise', function (done) {
+            GuardedModel.prototype.syncPromise = 'native';
+            GuardedModel.prototype.syncMiddleware = [function (context, next) {
+                return Promise.resolve().then(next);
+            }];
+            var model = new GuardedModel({ name: 'name' });
+
+            // act
+            model.save().then(function () {
+                expect(JSON.parse(syncStore[syncKey]).name).to.equal('name');
+                done();
+            }).catch(done);
+        });
+
+        it('should trigger lifecycle events around writes', function () {
+            var model = new GuardedModel({ name: 'name' }), before = sinon.spy(), after = sinon.spy();
+            model.on('storage:before-write', before);
+            model.on('storage:after-write', after);
+
+            // act
+            model.save();
+
+            expect(before.calledOnce).to.equal(true);
+            expect(before.firstCall.args[0]).to.equal(model);
+            expect(before.firstCall.args[1].method).to.equal('create');
+            expect(after.calledOnce).to.equal(true);
+            expect(after.firstCall.args[2]).to.deep.equal({ id: syncKey, name: 'name' });
+            expect(before.calledBefore(after)).to.equal(true);
+        });
+
+        it('should trigger lifecycle events around reads and deletes', function () {
+            var model = new GuardedModel({ name: 'name' }), spy = sinon.spy();
+            model.save();
+            model.on('all', function (name) {
+                if (name.indexOf('storage:') === 0) {
+                    spy(name);
+                }
+            });
+
+            // act
+            model.fetch();
+            model.destroy();
+
+            expect(_.flatten(spy.args)).to.deep.equal([
+                'storage:before-read', 'storage:after-read', 'storage:before-delete', 'storage:after-delete'
+            ]);
+        });
+
+        it('should not trigger lifecycle events when middleware short-circuits', function () {
+            var model = new GuardedModel(), spy = sinon.spy();
+            GuardedModel.prototype.syncMiddleware = [_.constant({})];
+            model.on('storage:before-write storage:after-write', spy);
+
+            // act
+            model.save();
+
+            expect(spy.called).to.equal(false);
+        });
+
+        it('should run middleware for each model written in records mode', function () {
+            var GuardedCollection = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncRecords: true,
+                syncImmediate: true,
+                syncMiddleware: [function (context, next) {
+                    context.payload = _.omit(context.payload, 'password');
+                    return next();
+                }]
+            }).extend(StorageSyncMixin);
+            var collection = new GuardedCollection();
+
+            // act
+            var model = collection.create({ password: 'secret' });
+
+            expect(model.id).to.be.a('string');
+            expect(JSON.parse(syncStore[syncKey + ':' + model.id])).to.deep.equal({ id: model.id });
+        });
+    });
+
+    describe('Patch log', function () {
+        var syncKey = 'logged', patchLogKey = 'logged:backbone-storage-sync:patches', syncStore, LoggedModel;
+
+        beforeEach(function () {
+            syncStore = {};
+            syncStore[syncKey] = JSON.stringify({ id: syncKey, name: 'name', nested: { a: 1 } });
+
+            LoggedModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncPatchLog: { threshold: 3 },
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should append patches to the log as JSON Patch operations', function () {
+            var model = new LoggedModel({ id: syncKey });
+
+            // act
+            model.save({ nested: { b: 2 }, added: true, 'a/b': null }, { patch: true });
+            model.save({ name: null }, { patch: true });
+
+            expect(JSON.parse(syncStore[syncKey]).name).to.equal('name');
+            expect(JSON.parse(syncStore[patchLogKey])).to.deep.equal([
+                { op: 'replace', path: '/nested', value: { b: 2 } },
+                { op: 'add', path: '/added', value: true },
+                { op: 'remove', path: '/name' }
+            ]);
+        });
+
+        it('should apply the log when reading', function () {
+            new LoggedModel({ id: syncKey }).save({ name: 'renamed', nested: { b: 2 } }, { patch: true });
+            var model = new LoggedModel({ id: syncKey });
+
+            // act
+            model.fetch();
+
+            expect(model.toJSON()).to.deep.equal({ id: syncKey, name: 'renamed', nested: { b: 2 } });
+        });
+
+        it('should escape JSON Pointers', function () {
+            var model = new LoggedModel({ id: syncKey });
+            model.save({ 'a/b': 1, 'c~d': 2 }, { patch: true });
+
+            // act
+            model.fetch();
+
+            expect(_.pluck(JSON.parse(syncStore[patchLogKey]), 'path')).to.deep.equal(['/a~1b', '/c~0d']);
+            expect(model.get('a/b')).to.equal(1);
+            expect(model.get('c~d')).to.equal(2);
+        });
+
+        it('should compact the log into the stored data once it passes the threshold', function () {
+            var model = new LoggedModel({ id: syncKey });
+            model.save({ a: 1, b: 2 }, { patch: true });
+            model.save({ c: 3 }, { patch: true });
+
+            // act
+            model.save({ d: 4 }, { patch: true });
+
+            expect(syncStore[patchLogKey]).to.be.undefined;
+            expect(JSON.parse(syncStore[syncKey])).to.deep.equal({
+                id: syncKey, name: 'name', nested: { a: 1 }, a: 1, b: 2, c: 3, d: 4
+            });
+        });
+
+        it('should remove the log when the whole data is written', function () {
+            var model = new LoggedModel({ id: syncKey });
+            model.save({ name: 'renamed' }, { patch: true });
+
+            // act
+            model.save();
+
+            expect(syncStore[patchLogKey]).to.be.undefined;
+            expect(JSON.parse(syncStore[syncKey]).name).to.equal('renamed');
+        });
+
+        it('should write the data when nothing is stored yet', function () {
+            delete syncStore[syncKey];
+            var model = new LoggedModel({ id: syncKey });
+
+            // act
+            model.save({ name: 'new' }, { patch: true });
+
+            expect(JSON.parse(syncStore[syncKey])).to.deep.equal({ name: 'new' });
+            expect(syncStore[patchLogKey]).to.be.undefined;
+        });
+
+        it('should log patches of records', function () {
+            var LoggedCollection = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: 'records',
+                syncRecords: true,
+                syncPatchLog: true,
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+            var collection = new LoggedCollection(), model = collection.create({ name: 'name' });
+
+            // act
+            model.save({ name: 'renamed' }, { patch: true });
+            collection.fetch();
+
+            var recordKey = 'records:' + model.id;
+            expect(JSON.parse(syncStore[recordKey]).name).to.equal('name');
+            expect(JSON.parse(syncStore[recordKey + ':backbone-storage-sync:patches'])).to.have.length(1);
+            expect(collection.first().get('name')).to.equal('renamed');
+        });
+    });
+
+    describe('Validation', function () {
+        var syncKey = 'checked', quarantineKey = 'checked:backbone-storage-sync:quarantine', syncStore, CheckedModel;
+
+        beforeEach(function () {
+            syncStore = {};
+
+            CheckedModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should fail reads of corrupted data with a StorageIntegrityError', function () {
+            syncStore[syncKey] = '{"name": "na';
+            var model = new CheckedModel({ id: syncKey }), error = sinon.spy();
+
+            // act
+            var actual = model.fetch({ error: error });
+
+            expect(actual.state()).to.equal('rejected');
+            expect(error.calledOnce).to.equal(true);
+            var storageError = error.firstCall.args[1];
+            expect(storageError).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+            expect(storageError.key).to.equal(syncKey);
+            expect(storageError.cause).to.be.an.instanceof(SyntaxError);
+        });
+
+        it('should move corrupted data to the quarantine key', function () {
+            syncStore[syncKey] = '{"name": "na';
+            var model = new CheckedModel({ id: syncKey }), spy = sinon.spy();
+            model.on('storage:quarantine', spy);
+
+            // act
+            model.fetch();
+
+            var quarantined = JSON.parse(syncStore[quarantineKey]);
+            expect(syncStore[syncKey]).to.be.undefined;
+            expect(quarantined.value).to.equal('{"name": "na');
+            expect(quarantined.error).to.equal('"checked" is corrupted');
+            expect(quarantined.quarantined).to.be.a('number');
+            expect(spy.calledOnce).to.equal(true);
+            expect(spy.firstCall.args[1]).to.equal(syncKey);
+            expect(spy.firstCall.args[2].quarantineKey).to.equal(quarantineKey);
+        });
+
+        it('should read nothing once corrupted data has been quarantined', function () {
+            syncStore[syncKey] = 'not json';
+            var model = new CheckedModel({ id: syncKey }), error = sinon.spy();
+            model.fetch();
+
+            // act
+            model.fetch({ error: error });
+
+            expect(error.firstCall.args[1]).to.be.an.instanceof(StorageSyncMixin.StorageNotFoundError);
+        });
+
+        it('should not quarantine data that fails to decrypt', function () {
+            CheckedModel.prototype.syncEncryption = {
+                key: _.constant('key'),
+                cipher: { encrypt: _.identity, decrypt: function () { throw new Error('wrong key'); } }
+            };
+            syncStore[syncKey] = '@aes-gcm:ciphertext';
+            var model = new CheckedModel({ id: syncKey });
+
+            // act
+            model.fetch();
+
+            expect(syncStore[syncKey]).to.equal('@aes-gcm:ciphertext');
+            expect(syncStore[quarantineKey]).to.be.undefined;
+        });
+
+        it('should validate stored data against syncSchema', function () {
+            CheckedModel.prototype.syncSchema = {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    age: { type: 'integer', minimum: 0 },
+                    tags: { type: 'array', items: { enum: ['a', 'b'] } }
+                },
+                additionalProperties: false
+            };
+            syncStore[syncKey] = JSON.stringify({ age: -1.5, tags: ['a', 'c'], extra: true });
+            var model = new CheckedModel({ id: syncKey }), error = sinon.spy();
+
+            // act
+            model.fetch({ error: error });
+
+            var storageError = error.firstCall.args[1];
+            expect(storageError).to.be.an.instanceof(StorageSyncMixin.StorageValidationError);
+            expect(storageError).to.be.an.instanceof(StorageSyncMixin.StorageIntegrityError);
+            expect(storageError.errors).to.deep.equal([
+                '/name is required',
+                '/age must be of type integer',
+                '/tags/1 must be one of ["a","b"]',
+                '/extra is not allowed'
+            ]);
+            expect(JSON.parse(syncStore[quarantineKey]).value).to.equal(JSON.stringify({
+                age: -1.5, tags: ['a', 'c'], extra: true
+            }));
+        });
+
+        it('should read data that matches syncSchema', function () {
+            CheckedModel.prototype.syncSchema = {
+                type: 'object',
+                properties: { name: { type: ['string', 'null'], pattern: '^n' }, count: { type: 'number' } }
+            };
+            syncStore[syncKey] = JSON.stringify({ name: 'name', count: 1 });
+            var model = new CheckedModel({ id: syncKey });
+
+            // act
+            model.fetch();
+
+            expect(model.get('name')).to.equal('name');
+            expect(syncStore[quarantineKey]).to.be.undefined;
+        });
+
+        it('should validate stored data with validateStored', function () {
+            var validateStored = sinon.spy(function (json) {
+                return json.name ? undefined : 'name is missing';
+            });
+            CheckedModel.prototype.validateStored = validateStored;
+            syncStore[syncKey] = JSON.stringify({ other: true });
+            var model = new CheckedModel({ id: syncKey }), error = sinon.spy();
+
+            // act
+            model.fetch({ error: error });
+
+            expect(validateStored.calledWith({ other: true }, syncKey)).to.equal(true);
+            expect(error.firstCall.args[1].errors).to.deep.equal(['name is missing']);
+            expect(syncStore[quarantineKey]).to.be.a('string');
+        });
+
+        it('should validate each record in records mode', function () {
+            var CheckedCollection = Backbone.Collection.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: 'records',
+                syncRecords: true,
+                syncImmediate: true,
+                syncSchema: { type: 'object', required: ['name'] }
+            }).extend(StorageSyncMixin);
+            syncStore.records = JSON.stringify(['a', 'b']);
+            syncStore['records:a'] = JSON.stringify({ id: 'a', name: 'a' });
+            syncStore['records:b'] = JSON.stringify({ id: 'b' });
+            var collection = new CheckedCollection();
+            collection.fetch();
+
+            // act
+            collection.fetch();
+
+            expect(syncStore['records:b:backbone-storage-sync:quarantine']).to.be.a('string');
+            expect(collection.pluck('id')).to.deep.equal(['a']);
+        });
+    });
+
+    describe('Fallback', function () {
+        var syncKey = 'fallback', syncStore, FallbackModel;
+
+        beforeEach(function () {
+            // Like Safari's private mode, where every write to Web Storage fails.
+            syncStore = new QuotaStorage(0);
+
+            FallbackModel = Backbone.Model.extend({
+                syncStore: function () { return syncStore; },
+                syncKey: syncKey,
+                syncImmediate: true
+            }).extend(StorageSyncMixin);
+        });
+
+        it('should keep data in memory when Web Storage cannot be written to', function () {
+            var model = new FallbackModel({ name: 'name' }), reloaded = new FallbackModel({ id: syncKey });
+
+            // act
+            model.save();
+            reloaded.fetch();
+
+            expect(reloaded.get('name')).to.equal('name');
+            expect(syncStore.length).to.equal(0);
+        });
+
+        it('should keep data in memory when syncStore throws', function () {
+            FallbackModel.prototype.syncStore = function () {
+                throw new Error('The operation is insecure.');
+            };
+            var model = new FallbackModel({ name: 'name' }), success = sinon.spy();
+
+            // act
+            model.save(null, { success: success });
+
+            expect(success.calledOnce).to.equal(true);
+        });
+
+        it('should trigger "storage:degraded" once', function () {
+            var model = new FallbackModel(), spy = sinon.spy();
+            model.on('storage:degraded', spy);
+
+            // act
+            model.save();
+            model.fetch();
+
+            expect(spy.calledOnce).to.equal(true);
+            expect(spy.firstCall.args[0]).to.equal(model);
+            expect(spy.firstCall.args[1].store).to.equal(syncStore);
+            expect(spy.firstCall.args[1].persistent).to.equal(false);
+            expect(spy.firstCall.args[1].error.name).to.equal('QuotaExceededError');
+        });
+
+        it('should not be persistent when it keeps data in memory', function () {
+            var model = new FallbackModel();
+
+            expect(model.isPersistent()).to.equal(false);
+        });
+
+        it('should be persistent when Web Storage can be used', function () {
+            syncStore = new FakeStorage();
+            var model = new FallbackModel(), spy = sinon.spy();
+            model.on('storage:degraded', spy);
+
+            // act
+            model.save();
+
+            expect(model.isPersistent()).to.equal(true);
+            expect(spy.called).to.equal(false);
+            expect(syncStore.getItem(syncKey)).to.be.a('string');
+            expect(syncStore.getItem('backbone-storage-sync:probe')).to.equal(null);
+        });
+
+        it('should use Web Storage that is full but not empty', function () {
+            syncStore = new QuotaStorage(10);
+            syncStore.setItem('full', 'value');
+            var model = new FallbackModel();
+
+            expect(model.isPersistent()).to.equal(true);
+        });
+
+        it('should use the syncFallback store when it can be used', function () {
+            var sessionStorage = new FakeStorage();
+            FallbackModel.prototype.syncFallback = function () { return sessionStorage; };
+            var model = new FallbackModel({ name: 'name' });
+
+            // act
+            model.save();
+
+            expect(JSON.parse(sessionStorage.getItem(syncKey)).name).to.equal('name');
+            expect(model.isPersistent()).to.equal(true);
+        });
+
+        it('should not fall back with syncFallback false', function () {
+            FallbackModel.prototype.syncFallback = false;
+            var model = new FallbackModel(), error = sinon.spy();
+
+            // act
+            model.save(null, { error: error });
+
+            expect(error.firstCall.args[1]).to.be.an.instanceof(StorageSyncMixin.StorageQuotaError);
+            expect(model.isPersistent()).to.equal(true);
+        });
+
+        it('should fail with the error of syncStore with syncFallback false', function () {
+            var securityError = new Error('The operation is insecure.');
+            FallbackModel.prototype.syncFallback = false;
+            FallbackModel.prototype.syncStore = function () {
+                throw securityError;
+            };
+            var model = new FallbackModel(), error = sinon.spy();
+
+            // act
+            model.fetch({ error: error });
+
+            expect(error.firstCall.args[1]).to.equal(securityError);
+        });
+    });
 });